@@ -0,0 +1,382 @@
+import fs from "fs";
+import path from "path";
+
+// Built-in color tables, keyed by palette id; products name their default in
+// `colorTable`. Each is a list of { value, color: [r, g, b, a] } stops in
+// ascending order. Values below the first stop are transparent and values
+// past the last take its color.
+const COLOR_TABLES = {
+  reflectivity: [
+    { value: -30, color: [0, 0, 0, 0] },
+    { value: 0, color: [0, 0, 0, 0] },
+    { value: 5, color: [4, 68, 94, 160] },
+    { value: 10, color: [0, 160, 180, 200] },
+    { value: 15, color: [0, 200, 160, 220] },
+    { value: 20, color: [0, 230, 0, 240] },
+    { value: 25, color: [0, 200, 0, 250] },
+    { value: 30, color: [0, 144, 0, 255] },
+    { value: 35, color: [255, 255, 0, 255] },
+    { value: 40, color: [255, 192, 0, 255] },
+    { value: 45, color: [255, 128, 0, 255] },
+    { value: 50, color: [255, 0, 0, 255] },
+    { value: 55, color: [200, 0, 0, 255] },
+    { value: 60, color: [255, 0, 200, 255] },
+    { value: 65, color: [160, 0, 255, 255] },
+    { value: 70, color: [255, 255, 255, 255] },
+    { value: 75, color: [200, 200, 255, 255] },
+  ],
+
+  // The familiar 5 dBZ NWS bands
+  nwsClassic: [
+    { value: 5, color: [4, 233, 231, 255] },
+    { value: 10, color: [1, 159, 244, 255] },
+    { value: 15, color: [3, 0, 244, 255] },
+    { value: 20, color: [2, 253, 2, 255] },
+    { value: 25, color: [1, 197, 1, 255] },
+    { value: 30, color: [0, 142, 0, 255] },
+    { value: 35, color: [253, 248, 2, 255] },
+    { value: 40, color: [229, 188, 0, 255] },
+    { value: 45, color: [253, 149, 0, 255] },
+    { value: 50, color: [253, 0, 0, 255] },
+    { value: 55, color: [212, 0, 0, 255] },
+    { value: 60, color: [188, 0, 0, 255] },
+    { value: 65, color: [248, 0, 253, 255] },
+    { value: 70, color: [152, 84, 198, 255] },
+    { value: 75, color: [253, 253, 253, 255] },
+  ],
+
+  // Blue to yellow with brightness rising throughout (after cividis), so
+  // intensity never depends on telling red from green
+  reflectivityColorblind: [
+    { value: 5, color: [0, 32, 77, 150] },
+    { value: 15, color: [0, 52, 110, 200] },
+    { value: 25, color: [57, 86, 140, 235] },
+    { value: 35, color: [112, 113, 115, 255] },
+    { value: 45, color: [166, 157, 117, 255] },
+    { value: 55, color: [222, 204, 100, 255] },
+    { value: 65, color: [255, 234, 70, 255] },
+    { value: 75, color: [255, 255, 255, 255] },
+  ],
+
+  // Fully opaque, widely separated hues for projectors and bright screens
+  reflectivityHighContrast: [
+    { value: 10, color: [0, 255, 255, 255] },
+    { value: 20, color: [0, 255, 0, 255] },
+    { value: 30, color: [0, 120, 0, 255] },
+    { value: 40, color: [255, 255, 0, 255] },
+    { value: 50, color: [255, 0, 0, 255] },
+    { value: 60, color: [255, 0, 255, 255] },
+    { value: 70, color: [255, 255, 255, 255] },
+  ],
+
+  // mm/hr
+  precipRate: [
+    { value: 0, color: [0, 0, 0, 0] },
+    { value: 0.1, color: [150, 210, 255, 170] },
+    { value: 1, color: [60, 140, 255, 210] },
+    { value: 2.5, color: [0, 200, 80, 235] },
+    { value: 5, color: [255, 255, 0, 255] },
+    { value: 10, color: [255, 150, 0, 255] },
+    { value: 25, color: [255, 0, 0, 255] },
+    { value: 50, color: [200, 0, 200, 255] },
+    { value: 100, color: [255, 255, 255, 255] },
+  ],
+
+  // MRMS precipitation flag codes; -3 (no coverage) is decoded as missing
+  precipFlag: [
+    { value: 0, color: [0, 0, 0, 0] },
+    { value: 1, color: [0, 180, 0, 220] },
+    { value: 3, color: [120, 180, 255, 230] },
+    { value: 6, color: [255, 160, 0, 255] },
+    { value: 7, color: [255, 0, 255, 255] },
+    { value: 10, color: [0, 130, 60, 220] },
+    { value: 91, color: [0, 200, 200, 220] },
+    { value: 96, color: [255, 60, 60, 255] },
+  ],
+
+  // mm
+  mesh: [
+    { value: 0, color: [0, 0, 0, 0] },
+    { value: 2, color: [0, 200, 255, 200] },
+    { value: 10, color: [0, 255, 0, 230] },
+    { value: 20, color: [255, 255, 0, 255] },
+    { value: 30, color: [255, 160, 0, 255] },
+    { value: 40, color: [255, 0, 0, 255] },
+    { value: 50, color: [255, 0, 200, 255] },
+    { value: 75, color: [140, 0, 255, 255] },
+    { value: 100, color: [255, 255, 255, 255] },
+  ],
+
+  // km
+  echoTop: [
+    { value: 0, color: [0, 0, 0, 0] },
+    { value: 1, color: [60, 60, 160, 170] },
+    { value: 3, color: [0, 180, 255, 210] },
+    { value: 6, color: [0, 220, 0, 235] },
+    { value: 9, color: [255, 255, 0, 255] },
+    { value: 12, color: [255, 150, 0, 255] },
+    { value: 15, color: [255, 0, 0, 255] },
+    { value: 18, color: [255, 0, 255, 255] },
+    { value: 21, color: [255, 255, 255, 255] },
+  ],
+
+  // mm
+  qpe: [
+    { value: 0, color: [0, 0, 0, 0] },
+    { value: 0.25, color: [180, 230, 180, 170] },
+    { value: 2.5, color: [0, 200, 0, 220] },
+    { value: 6, color: [0, 140, 0, 240] },
+    { value: 12.5, color: [255, 255, 0, 255] },
+    { value: 25, color: [255, 150, 0, 255] },
+    { value: 50, color: [255, 0, 0, 255] },
+    { value: 75, color: [255, 0, 200, 255] },
+    { value: 100, color: [140, 0, 255, 255] },
+    { value: 150, color: [255, 255, 255, 255] },
+  ],
+};
+
+// Named value ranges shown under the legend; `max` is null for open-ended
+// ranges, and equals `min` for single category codes
+const REFLECTIVITY_CATEGORIES = [
+  { label: "Light Rain", min: 10, max: 30 },
+  { label: "Moderate", min: 30, max: 45 },
+  { label: "Heavy/Severe", min: 45, max: null },
+];
+
+const CATEGORIES = {
+  // AMS rain rate intensities
+  precipRate: [
+    { label: "Light", min: 0.1, max: 2.5 },
+    { label: "Moderate", min: 2.5, max: 7.6 },
+    { label: "Heavy", min: 7.6, max: 50 },
+    { label: "Violent", min: 50, max: null },
+  ],
+  precipFlag: [
+    { label: "Warm Stratiform Rain", min: 1, max: 1 },
+    { label: "Snow", min: 3, max: 3 },
+    { label: "Convective Rain", min: 6, max: 6 },
+    { label: "Rain Mixed with Hail", min: 7, max: 7 },
+    { label: "Cold Stratiform Rain", min: 10, max: 10 },
+    { label: "Tropical/Stratiform Rain", min: 91, max: 91 },
+    { label: "Tropical/Convective Rain", min: 96, max: 96 },
+  ],
+  // Severe is 1 inch, significant severe 2 inches
+  mesh: [
+    { label: "Small Hail", min: 2, max: 25.4 },
+    { label: "Severe", min: 25.4, max: 50.8 },
+    { label: "Significant", min: 50.8, max: null },
+  ],
+};
+
+const BUILTIN_PALETTES = [
+  {
+    id: "reflectivity",
+    title: "Reflectivity",
+    unit: "dBZ",
+    mode: "interpolated",
+    categories: REFLECTIVITY_CATEGORIES,
+  },
+  {
+    id: "nwsClassic",
+    title: "NWS Classic Reflectivity",
+    unit: "dBZ",
+    mode: "discrete",
+    categories: REFLECTIVITY_CATEGORIES,
+  },
+  {
+    id: "reflectivityColorblind",
+    title: "Reflectivity (Colorblind Safe)",
+    unit: "dBZ",
+    mode: "interpolated",
+    categories: REFLECTIVITY_CATEGORIES,
+  },
+  {
+    id: "reflectivityHighContrast",
+    title: "Reflectivity (High Contrast)",
+    unit: "dBZ",
+    mode: "discrete",
+    categories: REFLECTIVITY_CATEGORIES,
+  },
+  {
+    id: "precipRate",
+    title: "Precipitation Rate",
+    unit: "mm/hr",
+    mode: "interpolated",
+  },
+  {
+    id: "precipFlag",
+    title: "Precipitation Type",
+    unit: "flag",
+    mode: "discrete",
+  },
+  { id: "mesh", title: "Hail Size", unit: "mm", mode: "interpolated" },
+  { id: "echoTop", title: "Echo Top", unit: "km", mode: "interpolated" },
+  {
+    id: "qpe",
+    title: "Precipitation Accumulation",
+    unit: "mm",
+    mode: "interpolated",
+  },
+].map((palette) => ({
+  categories: CATEGORIES[palette.id] || [],
+  ...palette,
+  source: "builtin",
+  stops: COLOR_TABLES[palette.id],
+}));
+
+export const DEFAULT_COLOR_TABLE = "reflectivity";
+
+export const PALETTE_MODES = ["interpolated", "discrete"];
+
+const palettes = new Map(
+  BUILTIN_PALETTES.map((palette) => [palette.id, palette])
+);
+
+export function listPalettes() {
+  return [...palettes.values()];
+}
+
+export function getPalette(id = DEFAULT_COLOR_TABLE) {
+  const palette = palettes.get(id);
+  if (!palette) {
+    throw new Error(`Unknown palette: ${id}`);
+  }
+  return palette;
+}
+
+export function hasPalette(id) {
+  return palettes.has(id);
+}
+
+/**
+ * A palette ready for rendering: `mode` ("interpolated" or "discrete")
+ * overrides the palette's own, and values below `threshold` are drawn
+ * transparent. The result is plain data, so it can be posted to a worker.
+ */
+export function resolvePalette(id, { mode, threshold } = {}) {
+  const palette = getPalette(id);
+  return {
+    ...palette,
+    mode: mode || palette.mode,
+    threshold: threshold ?? null,
+  };
+}
+
+function parseColor(fields, hasAlpha) {
+  const count = hasAlpha ? 4 : 3;
+  const color = fields.slice(0, count).map(Number);
+  if (color.length < count || color.some((c) => !(c >= 0 && c <= 255))) {
+    return null;
+  }
+  return hasAlpha ? color : [...color, 255];
+}
+
+/**
+ * Parse a GRLevelX / GR2Analyst .pal color table. Supported lines:
+ *
+ *   Product: BR          Units: DBZ          Step: 5
+ *   Scale: 1.94384       Offset: 0           ; comment
+ *   Color: value r g b [r g b]
+ *   Color4: value r g b a [r g b a]
+ *   SolidColor: value r g b       SolidColor4: value r g b a
+ *
+ * A Color line with a second color blends to it before the next entry
+ * instead of to the next entry's color; SolidColor entries are flat bands.
+ * Scale and Offset convert data values to the file's units, so the stops
+ * are converted back to data units here.
+ */
+export function parsePalFile(text, id) {
+  const settings = { scale: 1, offset: 0 };
+  const stops = [];
+
+  for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+    const line = rawLine.replace(/[;#].*$/, "").trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const rest = line.slice(separator + 1).trim();
+    const fields = rest.split(/[\s,]+/);
+
+    if (key === "product") {
+      settings.title = rest;
+    } else if (key === "units") {
+      settings.unit = rest;
+    } else if (key === "scale") {
+      settings.scale = Number(rest) || 1;
+    } else if (key === "offset") {
+      settings.offset = Number(rest) || 0;
+    } else if (
+      key === "color" ||
+      key === "color4" ||
+      key === "solidcolor" ||
+      key === "solidcolor4"
+    ) {
+      const hasAlpha = key.endsWith("4");
+      const value = Number(fields[0]);
+      const color = parseColor(fields.slice(1), hasAlpha);
+      if (!Number.isFinite(value) || !color) {
+        throw new Error(`Invalid ${key} entry on line ${index + 1} of ${id}`);
+      }
+
+      const stop = { value, color };
+      if (key.startsWith("solid")) {
+        stop.solid = true;
+      } else {
+        const endColor = parseColor(fields.slice(hasAlpha ? 5 : 4), hasAlpha);
+        if (endColor) {
+          stop.endColor = endColor;
+        }
+      }
+      stops.push(stop);
+    }
+  }
+
+  if (stops.length === 0) {
+    throw new Error(`No color entries in ${id}`);
+  }
+
+  return {
+    id,
+    title: settings.title || id,
+    unit: settings.unit || null,
+    mode: "interpolated",
+    source: "file",
+    categories: [],
+    stops: stops
+      .map((stop) => ({
+        ...stop,
+        value: (stop.value - settings.offset) / settings.scale,
+      }))
+      .sort((a, b) => a.value - b.value),
+  };
+}
+
+// Register every .pal file in `directory` under its file name, e.g.
+// BR_Classic.pal as "BR_Classic". Built-in ids cannot be replaced.
+export function loadPaletteDirectory(directory) {
+  const loaded = [];
+
+  for (const file of fs.readdirSync(directory)) {
+    if (path.extname(file).toLowerCase() !== ".pal") continue;
+
+    const id = path.basename(file, path.extname(file));
+    if (BUILTIN_PALETTES.some((palette) => palette.id === id)) {
+      console.error(`Skipping ${file}: "${id}" is a built-in palette`);
+      continue;
+    }
+
+    try {
+      const text = fs.readFileSync(path.join(directory, file), "utf8");
+      palettes.set(id, parsePalFile(text, id));
+      loaded.push(id);
+    } catch (error) {
+      console.error(`Skipping ${file}: ${error.message}`);
+    }
+  }
+
+  console.log(`Loaded ${loaded.length} palette(s) from ${directory}`);
+  return loaded;
+}
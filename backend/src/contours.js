@@ -0,0 +1,395 @@
+import { createGridProjection, isProjectedGrid } from "./projection.js";
+
+// Missing and no-coverage cells are decoded as -999
+const MISSING_THRESHOLD = -900;
+
+// Width in degrees of one pixel of a 256px tile at zoom 0
+const ZOOM0_PIXEL_DEGREES = 360 / 256;
+const METERS_PER_DEGREE = 111320;
+
+// In pooled cells: how far simplification may move an outline, and the
+// smallest ring kept, which leaves out speckle a few pixels across
+const SIMPLIFY_TOLERANCE = 0.5;
+const MIN_RING_AREA = 4;
+
+// Square edges
+const TOP = 0;
+const RIGHT = 1;
+const BOTTOM = 2;
+const LEFT = 3;
+
+// Marching squares segments per case, corners weighted tl=8 tr=4 br=2 bl=1,
+// as flat [from, to, ...] edge pairs. Each segment has the inside on its
+// left; the two saddles keep diagonal corners apart, so inside regions are
+// 4-connected and adjacent bands never claim the same square centre.
+const SEGMENTS = [
+  [],
+  [BOTTOM, LEFT],
+  [RIGHT, BOTTOM],
+  [RIGHT, LEFT],
+  [TOP, RIGHT],
+  [TOP, RIGHT, BOTTOM, LEFT],
+  [TOP, BOTTOM],
+  [TOP, LEFT],
+  [LEFT, TOP],
+  [BOTTOM, TOP],
+  [LEFT, TOP, RIGHT, BOTTOM],
+  [RIGHT, TOP],
+  [LEFT, RIGHT],
+  [BOTTOM, RIGHT],
+  [LEFT, BOTTOM],
+  [],
+];
+
+function cellDegrees(grid) {
+  return isProjectedGrid(grid) ? grid.dx / METERS_PER_DEGREE : grid.dx;
+}
+
+// Grid cells per pooled cell so one pooled cell is about one screen pixel
+// at `zoom`
+function poolFactor(grid, zoom) {
+  const pixelDegrees = ZOOM0_PIXEL_DEGREES / 2 ** zoom;
+  return Math.max(1, Math.floor(pixelDegrees / cellDegrees(grid)));
+}
+
+// Keep the highest value in each factor x factor block, so storm cores
+// survive at low zooms
+function maxPool(values, width, height, factor) {
+  if (factor === 1) {
+    return { values, width, height };
+  }
+
+  const pooledWidth = Math.ceil(width / factor);
+  const pooledHeight = Math.ceil(height / factor);
+  const pooled = new Float32Array(pooledWidth * pooledHeight).fill(-999);
+
+  for (let j = 0; j < height; j++) {
+    const row = Math.floor(j / factor) * pooledWidth;
+    for (let i = 0; i < width; i++) {
+      const value = values[j * width + i];
+      const target = row + Math.floor(i / factor);
+      if (value > pooled[target]) {
+        pooled[target] = value;
+      }
+    }
+  }
+
+  return { values: pooled, width: pooledWidth, height: pooledHeight };
+}
+
+// Number the 4-connected regions of set cells, from 1
+function labelRegions(mask, stride) {
+  const labels = new Int32Array(mask.length);
+  const stack = [];
+  let count = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    labels[start] = ++count;
+    stack.push(start);
+    while (stack.length > 0) {
+      const node = stack.pop();
+      for (const neighbour of [
+        node - 1,
+        node + 1,
+        node - stride,
+        node + stride,
+      ]) {
+        if (mask[neighbour] && !labels[neighbour]) {
+          labels[neighbour] = count;
+          stack.push(neighbour);
+        }
+      }
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Outlines of the cells with `min <= value < max` (`max` null for no upper
+ * bound), as closed rings of [x, y] cell coordinates, each tagged with the
+ * region it bounds: a region's outer ring and its holes share a tag. The
+ * grid is padded with empty cells, so every ring closes.
+ */
+function traceBand({ values, width, height }, min, max) {
+  const stride = width + 2;
+  const mask = new Uint8Array(stride * (height + 2));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = values[y * width + x];
+      if (value >= min && (max === null || value < max)) {
+        mask[(y + 1) * stride + x + 1] = 1;
+      }
+    }
+  }
+  const regions = labelRegions(mask, stride);
+
+  // An edge crossing is numbered by the padded node it starts from, doubled,
+  // plus 1 for edges running down rather than across
+  const edgeKey = (node, edge) => {
+    switch (edge) {
+      case TOP:
+        return node * 2;
+      case BOTTOM:
+        return (node + stride) * 2;
+      case LEFT:
+        return node * 2 + 1;
+      default:
+        return (node + 1) * 2 + 1;
+    }
+  };
+  const edgePoint = (key) => {
+    const node = key >> 1;
+    const x = (node % stride) - 1;
+    const y = Math.floor(node / stride) - 1;
+    return key & 1 ? [x, y + 0.5] : [x + 0.5, y];
+  };
+  // One end of every crossed edge is inside
+  const edgeRegion = (key) => {
+    const node = key >> 1;
+    return regions[node] || regions[key & 1 ? node + stride : node + 1];
+  };
+
+  const next = new Int32Array(2 * mask.length).fill(-1);
+  for (let node = 0; node < mask.length - stride; node++) {
+    if (node % stride === stride - 1) continue;
+
+    const segments =
+      SEGMENTS[
+        (mask[node] << 3) |
+          (mask[node + 1] << 2) |
+          (mask[node + stride + 1] << 1) |
+          mask[node + stride]
+      ];
+    for (let k = 0; k < segments.length; k += 2) {
+      next[edgeKey(node, segments[k])] = edgeKey(node, segments[k + 1]);
+    }
+  }
+
+  const rings = [];
+  for (let start = 0; start < next.length; start++) {
+    if (next[start] === -1) continue;
+
+    const points = [];
+    let key = start;
+    do {
+      points.push(edgePoint(key));
+      const following = next[key];
+      next[key] = -1;
+      key = following;
+    } while (key !== start && key !== -1);
+    points.push(points[0]);
+    rings.push({ points, region: edgeRegion(start) });
+  }
+
+  return rings;
+}
+
+// Shoelace area; negative for the outer rings traceBand produces
+function signedArea(ring) {
+  let sum = 0;
+  for (let k = 0; k < ring.length - 1; k++) {
+    sum += ring[k][0] * ring[k + 1][1] - ring[k + 1][0] * ring[k][1];
+  }
+  return sum / 2;
+}
+
+function squaredSegmentDistance([x, y], [x1, y1], [x2, y2]) {
+  let dx = x2 - x1;
+  let dy = y2 - y1;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = Math.max(
+      0,
+      Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy))
+    );
+    x1 += dx * t;
+    y1 += dy * t;
+  }
+
+  dx = x - x1;
+  dy = y - y1;
+  return dx * dx + dy * dy;
+}
+
+// Douglas-Peucker, with an explicit stack so long outlines can't overflow
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const squaredTolerance = tolerance * tolerance;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let farthest = -1;
+
+    for (let k = first + 1; k < last; k++) {
+      const distance = squaredSegmentDistance(
+        points[k],
+        points[first],
+        points[last]
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = k;
+      }
+    }
+
+    if (maxDistance > squaredTolerance) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, k) => keep[k]);
+}
+
+// A closed ring's ends coincide, so split it at the vertex farthest from
+// the start and simplify the two halves
+function simplifyRing(ring, tolerance) {
+  let farthest = 0;
+  let maxDistance = -1;
+  for (let k = 1; k < ring.length - 1; k++) {
+    const distance =
+      (ring[k][0] - ring[0][0]) ** 2 + (ring[k][1] - ring[0][1]) ** 2;
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      farthest = k;
+    }
+  }
+
+  return [
+    ...simplifyLine(ring.slice(0, farthest + 1), tolerance),
+    ...simplifyLine(ring.slice(farthest), tolerance).slice(1),
+  ];
+}
+
+/**
+ * Group traced rings into polygons: each region's outer ring followed by
+ * its holes. Rings smaller than MIN_RING_AREA are dropped, outer or hole.
+ */
+function buildPolygons(rings) {
+  const polygons = new Map();
+  const holes = [];
+
+  for (const { points, region } of rings) {
+    const area = signedArea(points);
+    if (Math.abs(area) < MIN_RING_AREA) continue;
+
+    if (area < 0) {
+      polygons.set(region, [points]);
+    } else {
+      holes.push({ points, region });
+    }
+  }
+
+  // A hole is never larger than its outer ring, so one whose outer ring was
+  // dropped has been dropped too
+  for (const { points, region } of holes) {
+    polygons.get(region).push(points);
+  }
+
+  return [...polygons.values()];
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+function formatBandLabel(min, max, unit) {
+  const range = max === null ? `${min}+` : `${min}-${max}`;
+  return unit ? `${range} ${unit}` : range;
+}
+
+/**
+ * Vector outlines of the bands between consecutive `levels` (the last band
+ * open-ended) as a GeoJSON FeatureCollection with one Polygon feature per
+ * outline. The grid is max-pooled to about one cell per screen pixel at
+ * `zoom` and outlines are simplified to within half a pooled cell. Vertices
+ * go through the grid's own projection, so scanning mode, projected grids
+ * and the grid's real bounds are honoured.
+ */
+export function computeContours(radarData, { levels, zoom, unit = null }) {
+  const { grid } = radarData;
+  const projection = createGridProjection(grid);
+  const factor = poolFactor(grid, zoom);
+  const pooled = maxPool(radarData.values, grid.width, grid.height, factor);
+  const sortedLevels = [...new Set(levels)]
+    .filter((level) => level > MISSING_THRESHOLD)
+    .sort((a, b) => a - b);
+
+  // Pooled cell centres back to source grid indices, then to lon/lat.
+  // Longitudes are kept continuous along a ring rather than wrapped, so
+  // outlines crossing the antimeridian don't streak across the map.
+  const toCoordinates = (ring) => {
+    let previousLon = null;
+    return ring.map(([x, y]) => {
+      let [lon, lat] = projection.toLonLat(
+        x * factor + (factor - 1) / 2,
+        y * factor + (factor - 1) / 2
+      );
+      if (previousLon !== null) {
+        lon += Math.round((previousLon - lon) / 360) * 360;
+      }
+      previousLon = lon;
+      return [lon, lat];
+    });
+  };
+
+  // Simplified after projecting, so the straight rows of a projected grid
+  // keep their curve. GeoJSON wants outer rings counterclockwise and holes
+  // clockwise; rings need at least three distinct vertices.
+  const tolerance = SIMPLIFY_TOLERANCE * factor * cellDegrees(grid);
+  const finishRing = (ring, counterclockwise) => {
+    const coordinates = simplifyRing(toCoordinates(ring), tolerance);
+    if (coordinates.length < 4) return null;
+    if (signedArea(coordinates) > 0 !== counterclockwise) {
+      coordinates.reverse();
+    }
+    return coordinates.map(([lon, lat]) => [
+      roundCoordinate(lon),
+      roundCoordinate(lat),
+    ]);
+  };
+
+  const features = [];
+  sortedLevels.forEach((min, band) => {
+    const max = band + 1 < sortedLevels.length ? sortedLevels[band + 1] : null;
+    const properties = {
+      band,
+      min,
+      max,
+      label: formatBandLabel(min, max, unit),
+    };
+
+    for (const [outer, ...holes] of buildPolygons(
+      traceBand(pooled, min, max)
+    )) {
+      const outerRing = finishRing(outer, true);
+      if (!outerRing) continue;
+
+      features.push({
+        type: "Feature",
+        properties,
+        geometry: {
+          type: "Polygon",
+          coordinates: [
+            outerRing,
+            ...holes.map((ring) => finishRing(ring, false)).filter(Boolean),
+          ],
+        },
+      });
+    }
+  });
+
+  return {
+    type: "FeatureCollection",
+    features,
+  };
+}
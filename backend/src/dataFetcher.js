@@ -1,35 +1,285 @@
-import { gunzipSync } from "zlib";
+import { pipeline } from "stream/promises";
+import { createGunzip, gunzipSync } from "zlib";
+import { createGrib2Assembler } from "./grib2Stream.js";
 
-const MRMS_RALA_URL =
-  "https://mrms.ncep.noaa.gov/data/2D/ReflectivityAtLowestAltitude/MRMS_ReflectivityAtLowestAltitude.latest.grib2.gz";
+const MB = 1024 * 1024;
 
-export async function fetchLatestRadarData() {
-  console.log("Fetching MRMS RALA data from:", MRMS_RALA_URL);
+// Size caps for one product file, so an oversized or hostile payload fails
+// instead of exhausting memory. Read here so worker threads see them too.
+export const MAX_COMPRESSED_BYTES =
+  (Number(process.env.MAX_COMPRESSED_MB) || 64) * MB;
+export const MAX_DECOMPRESSED_BYTES =
+  (Number(process.env.MAX_DECOMPRESSED_MB) || 512) * MB;
 
-  const response = await fetch(MRMS_RALA_URL, {
-    headers: {
-      "User-Agent": "WeatherRadarDisplay/1.0",
-    },
-  });
+const FETCH_TIMEOUT_MS = 30000;
+const FETCH_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Errors worth another attempt: timeouts, dropped connections, server-side
+// failures and damaged payloads. A 404 or 403 will not fix itself.
+function retryableError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter, so many clients retrying after the
+// same outage spread out instead of arriving together
+function retryDelay(attempt, baseDelayMs) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function tooLarge(message) {
+  const error = new Error(message);
+  error.code = "PAYLOAD_TOO_LARGE";
+  return error;
+}
+
+function sniffError(head) {
+  return retryableError(
+    `Payload is neither gzip nor GRIB2 (starts ${JSON.stringify(
+      head.toString("latin1", 0, 16)
+    )})`
+  );
+}
+
+/**
+ * Read a product file from a stream of byte chunks (an HTTP body or a file
+ * stream) without ever holding more than one decompressed copy. Gzip input
+ * is inflated as it arrives and GRIB2 messages are reassembled and checked
+ * section by section. Returns the raw bytes as `data` and, for gzip input,
+ * the decompressed GRIB2 as `grib`; plain GRIB2 input comes back as `data`
+ * alone. Damaged payloads throw retryable errors, oversized ones throw
+ * with code PAYLOAD_TOO_LARGE.
+ */
+export async function readRadarStream(
+  source,
+  {
+    maxCompressedBytes = MAX_COMPRESSED_BYTES,
+    maxBytes = MAX_DECOMPRESSED_BYTES,
+  } = {}
+) {
+  const iterator = source[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  if (first.done) {
+    throw retryableError("Empty payload");
+  }
+
+  const head = Buffer.from(first.value);
+  const gzipped = head[0] === 0x1f && head[1] === 0x8b;
+  if (!gzipped && head.length >= 4 && head.toString("ascii", 0, 4) !== "GRIB") {
+    throw sniffError(head);
+  }
+
+  const raw = [];
+  let rawLength = 0;
+  const assembler = createGrib2Assembler({ maxBytes });
+
+  async function* chunks() {
+    try {
+      yield head;
+      for (let next = await iterator.next(); !next.done;) {
+        yield Buffer.from(next.value);
+        next = await iterator.next();
+      }
+    } finally {
+      // Cancels the download when a later stage gives up early
+      await iterator.return?.();
+    }
+  }
+
+  async function* meter(input) {
+    for await (const chunk of input) {
+      rawLength += chunk.length;
+      if (rawLength > maxCompressedBytes) {
+        throw tooLarge(
+          `Payload exceeds the ${maxCompressedBytes} byte download limit`
+        );
+      }
+      // Plain GRIB2 is kept by the assembler; only gzip input needs a copy
+      if (gzipped) {
+        raw.push(chunk);
+      }
+      yield chunk;
+    }
+  }
+
+  async function assemble(input) {
+    for await (const chunk of input) {
+      assembler.push(chunk);
+    }
+  }
+
+  try {
+    await pipeline(
+      chunks,
+      meter,
+      ...(gzipped ? [createGunzip()] : []),
+      assemble
+    );
+  } catch (error) {
+    if (error.code === "PAYLOAD_TOO_LARGE" || error.name === "TimeoutError") {
+      throw error;
+    }
+    throw retryableError(`Invalid payload: ${error.message}`);
+  }
+
+  let grib;
+  try {
+    grib = assembler.finish();
+  } catch (error) {
+    throw retryableError(error.message);
+  }
+
+  return gzipped
+    ? { data: Buffer.concat(raw, rawLength), grib }
+    : { data: grib, grib: null };
+}
+
+async function fetchOnce(url, headers, timeoutMs) {
+  const timedOut = () =>
+    retryableError(`Timed out after ${timeoutMs} ms fetching ${url}`);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    if (error.name === "TimeoutError") {
+      throw timedOut();
+    }
+    // fetch reports refused and dropped connections as a TypeError
+    if (error instanceof TypeError) {
+      throw retryableError(`Failed to fetch MRMS data: ${error.message}`);
+    }
+    throw error;
+  }
+
+  if (response.status === 304) {
+    return { response };
+  }
 
   if (!response.ok) {
-    throw new Error(
-      `Failed to fetch MRMS data: ${response.status} ${response.statusText}`
+    const message = `Failed to fetch MRMS data: ${response.status} ${response.statusText}`;
+    if (response.status >= 500 || response.status === 429) {
+      throw retryableError(message);
+    }
+    throw new Error(message);
+  }
+
+  const declaredLength = Number(response.headers.get("content-length"));
+  if (declaredLength > MAX_COMPRESSED_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge(
+      `Payload of ${declaredLength} bytes exceeds the ${MAX_COMPRESSED_BYTES} byte download limit`
     );
   }
 
-  const compressedData = await response.arrayBuffer();
-  console.log(
-    `Downloaded ${(compressedData.byteLength / 1024 / 1024).toFixed(
-      2
-    )} MB of compressed data`
-  );
+  try {
+    return { response, ...(await readRadarStream(response.body)) };
+  } catch (error) {
+    // readRadarStream already marks broken payloads as retryable
+    if (error.name === "TimeoutError") {
+      throw timedOut();
+    }
+    throw error;
+  }
+}
 
-  const compressedBuffer = Buffer.from(compressedData);
-  const decompressedBuffer = gunzipSync(compressedBuffer);
-  console.log(
-    `Decompressed to ${(decompressedBuffer.length / 1024 / 1024).toFixed(2)} MB`
-  );
+// Download a product file. Passing the validators from the previous download
+// makes the request conditional; an unchanged file comes back as
+// { notModified: true } without a body. Each attempt is bounded by
+// `timeoutMs`, and transient failures are retried up to `retries` times.
+export async function fetchRadarFile(
+  url,
+  {
+    etag,
+    lastModified,
+    timeoutMs = FETCH_TIMEOUT_MS,
+    retries = FETCH_RETRIES,
+    baseDelayMs = RETRY_BASE_DELAY_MS,
+  } = {}
+) {
+  console.log("Fetching MRMS data from:", url);
+
+  const headers = {
+    "User-Agent": "WeatherRadarDisplay/1.0",
+  };
+  if (etag) {
+    headers["If-None-Match"] = etag;
+  }
+  if (lastModified) {
+    headers["If-Modified-Since"] = lastModified;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { response, data, grib } = await fetchOnce(url, headers, timeoutMs);
+
+      if (response.status === 304) {
+        console.log("MRMS data not modified since last download");
+        return { notModified: true };
+      }
+
+      console.log(
+        `Downloaded ${(data.length / MB).toFixed(2)} MB${
+          grib ? `, ${(grib.length / MB).toFixed(2)} MB decompressed` : ""
+        }`
+      );
+
+      return {
+        data,
+        grib,
+        etag: response.headers.get("etag"),
+        lastModified: response.headers.get("last-modified"),
+      };
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, baseDelayMs);
+      console.log(
+        `${error.message}; retrying in ${delay} ms (attempt ${attempt + 2} of ${
+          retries + 1
+        })`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+// Files from a local directory may already be uncompressed; check the gzip
+// magic number rather than trusting the name. The result is checked to be
+// a complete GRIB2 file before it goes to the parser.
+export function decompressRadarData(compressedBuffer) {
+  let buffer = compressedBuffer;
+
+  if (compressedBuffer[0] === 0x1f && compressedBuffer[1] === 0x8b) {
+    try {
+      buffer = gunzipSync(compressedBuffer, {
+        maxOutputLength: MAX_DECOMPRESSED_BYTES,
+      });
+    } catch (error) {
+      throw new Error(`Invalid gzip payload: ${error.message}`);
+    }
+    console.log(`Decompressed to ${(buffer.length / MB).toFixed(2)} MB`);
+  }
+
+  if (buffer.length < 16 || buffer.toString("ascii", 0, 4) !== "GRIB") {
+    throw new Error("Invalid GRIB2 payload: missing GRIB magic number");
+  }
+  if (buffer.toString("ascii", buffer.length - 4) !== "7777") {
+    throw new Error("Invalid GRIB2 payload: file does not end with 7777");
+  }
 
-  return decompressedBuffer;
+  return buffer;
 }
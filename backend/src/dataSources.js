@@ -0,0 +1,199 @@
+import fs from "fs";
+import path from "path";
+import { fetchRadarFile, readRadarStream } from "./dataFetcher.js";
+import { MRMS_BASE_URL, resolveProductUrl } from "./products.js";
+
+// A data source hands the ingester a product's current file:
+//
+//   fetch(product, { etag, lastModified })
+//     -> { notModified: true } | { data, grib, etag, lastModified }
+//   describe(product) -> where the product's files come from
+//
+// `data` is the file as stored, gzipped or plain GRIB2, and `grib` its
+// decompressed contents when it was gzipped (see readRadarStream).
+
+const FILE_TIMESTAMP = /(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/;
+const GRIB_FILE = /\.grib2(\.gz)?$/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// NOAA's own names, e.g. MRMS_MESH_00.50_20240501-123000.grib2.gz, without
+// letting MESH claim MRMS_MESH_Max_60min_... files
+function productFilePattern(product) {
+  return new RegExp(
+    `^MRMS_${escapeRegExp(product.name)}(?:_\\d{2}\\.\\d{2})?(?:_\\d{8}-\\d{6}|\\.latest)\\.grib2(?:\\.gz)?$`
+  );
+}
+
+function parseFileTimestamp(file) {
+  const match = path.basename(file).match(FILE_TIMESTAMP);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+async function statFiles(paths) {
+  const files = [];
+  for (const file of paths) {
+    const stat = await fs.promises.stat(file);
+    if (!stat.isFile()) continue;
+    files.push({
+      path: file,
+      time: parseFileTimestamp(file) ?? stat.mtimeMs,
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+    });
+  }
+  return files.sort((a, b) => a.time - b.time);
+}
+
+async function readDirectory(directory) {
+  try {
+    return await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+// The product's files, oldest first: NOAA-named files at the top level of
+// `directory` plus any GRIB2 file in a subdirectory named after the product
+async function listProductFiles(directory, product) {
+  const pattern = productFilePattern(product);
+  const productDir = path.join(directory, product.name);
+
+  const topLevel = (await readDirectory(directory))
+    .filter((file) => pattern.test(file))
+    .map((file) => path.join(directory, file));
+  const nested = (await readDirectory(productDir))
+    .filter((file) => GRIB_FILE.test(file))
+    .map((file) => path.join(productDir, file));
+
+  return statFiles([...topLevel, ...nested]);
+}
+
+/**
+ * Remote HTTP source. Defaults to NOAA's server; pass `baseUrl` to read the
+ * same directory layout from a mirror.
+ */
+export function createHttpSource({ baseUrl = MRMS_BASE_URL } = {}) {
+  return {
+    type: baseUrl === MRMS_BASE_URL ? "http" : "mirror",
+    describe(product) {
+      return resolveProductUrl(product, baseUrl);
+    },
+    fetch(product, validators) {
+      return fetchRadarFile(resolveProductUrl(product, baseUrl), validators);
+    },
+  };
+}
+
+/**
+ * Local directory of .grib2 / .grib2.gz files. Normally the newest file for
+ * a product wins. With `replay`, files are played back in timestamp order
+ * as if they were arriving live: the source starts at the oldest file and
+ * moves through them on a clock running `replay.speed` times faster than
+ * real time, starting over after the last one when `replay.loop` is set.
+ *
+ * File times come from the YYYYMMDD-HHMMSS stamp in NOAA file names, or the
+ * modification time for files without one.
+ */
+export function createDirectorySource({ directory, replay = null }) {
+  // productId -> { startedAt, firstTime } for replay
+  const replayClocks = new Map();
+
+  function pickReplayFile(product, files) {
+    const now = Date.now();
+    let clock = replayClocks.get(product.id);
+    if (!clock) {
+      clock = { startedAt: now, firstTime: files[0].time };
+      replayClocks.set(product.id, clock);
+    }
+
+    const lastTime = files[files.length - 1].time;
+    let playhead = clock.firstTime + (now - clock.startedAt) * replay.speed;
+
+    // Hold the last file for one product cadence before looping
+    if (
+      replay.loop &&
+      playhead > lastTime + product.refreshSeconds * 1000 * replay.speed
+    ) {
+      console.log(`Replay of ${product.id} reached the end, starting over`);
+      clock.startedAt = now;
+      clock.firstTime = files[0].time;
+      playhead = clock.firstTime;
+    }
+
+    return files.filter((file) => file.time <= playhead).pop() || files[0];
+  }
+
+  return {
+    type: replay ? "replay" : "directory",
+    describe() {
+      return directory;
+    },
+    async fetch(product, { etag } = {}) {
+      const files = await listProductFiles(directory, product);
+      if (files.length === 0) {
+        throw new Error(`No files for ${product.name} in ${directory}`);
+      }
+
+      const file = replay
+        ? pickReplayFile(product, files)
+        : files[files.length - 1];
+      const fileTag = `"${path.basename(file.path)}-${file.size}-${Math.round(
+        file.mtimeMs
+      )}"`;
+
+      if (etag === fileTag) {
+        return { notModified: true };
+      }
+
+      console.log("Reading MRMS data from:", file.path);
+      const { data, grib } = await readRadarStream(
+        fs.createReadStream(file.path)
+      );
+
+      return {
+        data,
+        grib,
+        etag: fileTag,
+        lastModified: new Date(file.mtimeMs).toUTCString(),
+      };
+    },
+  };
+}
+
+// Build the source named by `type`: "http" (NOAA), "mirror" (`baseUrl`),
+// "directory" or "replay" (`directory`, plus `replaySpeed`/`replayLoop`)
+export function createDataSource({
+  type = "http",
+  baseUrl,
+  directory,
+  replaySpeed = 1,
+  replayLoop = true,
+}) {
+  switch (type) {
+    case "http":
+      return createHttpSource();
+    case "mirror":
+      if (!baseUrl) {
+        throw new Error("The mirror data source needs a base URL");
+      }
+      return createHttpSource({ baseUrl });
+    case "directory":
+    case "replay":
+      if (!directory) {
+        throw new Error(`The ${type} data source needs a directory`);
+      }
+      return createDirectorySource({
+        directory,
+        replay:
+          type === "replay" ? { speed: replaySpeed, loop: replayLoop } : null,
+      });
+    default:
+      throw new Error(`Unknown data source: ${type}`);
+  }
+}
@@ -0,0 +1,290 @@
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+import { createGunzip, gunzip, gzip } from "zlib";
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const METADATA_SUFFIX = ".json";
+const IMAGE_SUFFIX = ".png";
+const VALUES_SUFFIX = ".f32.gz";
+
+// 2024-05-01T12:30:00.000Z <-> 20240501T123000Z, which sorts by time and is
+// safe in file names and URLs
+export function formatFrameKey(timestamp) {
+  return new Date(timestamp)
+    .toISOString()
+    .replace(/\.\d{3}Z$/, "Z")
+    .replace(/[-:]/g, "");
+}
+
+// Accepts a frame key, an ISO 8601 timestamp or epoch milliseconds; returns
+// epoch milliseconds or null
+export function parseFrameTimestamp(value) {
+  const text = String(value);
+
+  if (/^\d{10,}$/.test(text)) {
+    return Number(text);
+  }
+
+  const key = text.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  if (key) {
+    const [, year, month, day, hour, minute, second] = key.map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+}
+
+// JSON turns the record's dates into strings; restore the ones callers use
+function reviveRecord(stored) {
+  const record = { ...stored, timestamp: new Date(stored.timestamp) };
+  if (record.product?.validTime) {
+    record.product = {
+      ...record.product,
+      validTime: new Date(record.product.validTime),
+    };
+  }
+  return record;
+}
+
+async function writeFileAtomic(file, data) {
+  const temp = `${file}.tmp`;
+  await fs.promises.writeFile(temp, data);
+  await fs.promises.rename(temp, file);
+}
+
+/**
+ * Rolling per-product archive of ingested frames. Each frame is stored as
+ * three files named by its timestamp: gzipped Float32 values, the rendered
+ * PNG and a JSON copy of the record without its values. The metadata file
+ * is written last, so a frame only counts once all three exist, and the
+ * index is rebuilt from the directory on startup.
+ *
+ * Frames older than `maxAgeMinutes` before the newest frame are pruned, as
+ * are all but the newest `maxFrames`; either limit is off when 0.
+ */
+export function createFrameArchive({ directory, maxAgeMinutes, maxFrames }) {
+  // productId -> frame entries sorted by time, oldest first
+  const index = new Map();
+
+  function productDirectory(productId) {
+    return path.join(directory, productId);
+  }
+
+  function framePath(productId, key, suffix) {
+    return path.join(productDirectory(productId), `${key}${suffix}`);
+  }
+
+  function load() {
+    fs.mkdirSync(directory, { recursive: true });
+    let total = 0;
+
+    for (const productId of fs.readdirSync(directory)) {
+      const productDir = productDirectory(productId);
+      if (!fs.statSync(productDir).isDirectory()) continue;
+
+      const frames = [];
+      for (const file of fs.readdirSync(productDir)) {
+        if (file.endsWith(".tmp")) {
+          // Left behind by a write that never finished
+          fs.rmSync(path.join(productDir, file), { force: true });
+          continue;
+        }
+        if (!file.endsWith(METADATA_SUFFIX)) continue;
+
+        const key = file.slice(0, -METADATA_SUFFIX.length);
+        const time = parseFrameTimestamp(key);
+        if (time !== null) {
+          frames.push({ key, time });
+        }
+      }
+
+      frames.sort((a, b) => a.time - b.time);
+      index.set(productId, frames);
+      prune(productId);
+      total += index.get(productId).length;
+    }
+
+    console.log(`Frame archive: ${total} frame(s) in ${directory}`);
+  }
+
+  function removeFrame(productId, key) {
+    for (const suffix of [METADATA_SUFFIX, IMAGE_SUFFIX, VALUES_SUFFIX]) {
+      fs.rmSync(framePath(productId, key, suffix), { force: true });
+    }
+  }
+
+  function prune(productId) {
+    const frames = index.get(productId) || [];
+    if (frames.length === 0) return;
+
+    const newest = frames[frames.length - 1].time;
+    const cutoff = maxAgeMinutes ? newest - maxAgeMinutes * 60 * 1000 : null;
+    let keepFrom = 0;
+
+    while (
+      keepFrom < frames.length &&
+      ((cutoff !== null && frames[keepFrom].time < cutoff) ||
+        (maxFrames && frames.length - keepFrom > maxFrames))
+    ) {
+      keepFrom++;
+    }
+
+    for (const { key } of frames.slice(0, keepFrom)) {
+      removeFrame(productId, key);
+    }
+    index.set(productId, frames.slice(keepFrom));
+  }
+
+  function findFrame(productId, time) {
+    return (index.get(productId) || []).find((frame) => frame.time === time);
+  }
+
+  // Store an ingested frame; resolves false when that timestamp is already
+  // archived, e.g. the same file ingested again after a restart
+  async function add(productId, { image, record, fetchedAt }) {
+    const time = record.timestamp.getTime();
+    if (findFrame(productId, time)) {
+      return false;
+    }
+
+    const key = formatFrameKey(time);
+    const { values, ...metadata } = record;
+    await fs.promises.mkdir(productDirectory(productId), { recursive: true });
+
+    // Compressing a CONUS grid takes a while; the async zlib keeps it off the
+    // event loop
+    await writeFileAtomic(
+      framePath(productId, key, VALUES_SUFFIX),
+      await gzipAsync(
+        Buffer.from(values.buffer, values.byteOffset, values.byteLength)
+      )
+    );
+    await writeFileAtomic(framePath(productId, key, IMAGE_SUFFIX), image);
+    await writeFileAtomic(
+      framePath(productId, key, METADATA_SUFFIX),
+      JSON.stringify({ productId, fetchedAt, record: metadata })
+    );
+
+    const frames = index.get(productId) || [];
+    frames.push({ key, time });
+    frames.sort((a, b) => a.time - b.time);
+    index.set(productId, frames);
+    prune(productId);
+
+    console.log(`Frame archive: stored ${productId} ${key}`);
+    return true;
+  }
+
+  function list(productId) {
+    return (index.get(productId) || []).map(({ key, time }) => ({
+      key,
+      timestamp: new Date(time),
+    }));
+  }
+
+  // One of a frame's files, or null when the frame is unknown or was pruned
+  // while being read
+  async function readFrameFile(productId, time, suffix, encoding) {
+    const frame = findFrame(productId, time);
+    if (!frame) return null;
+
+    try {
+      return await fs.promises.readFile(
+        framePath(productId, frame.key, suffix),
+        encoding
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // { productId, fetchedAt, record } with the record's values left out
+  async function readMetadata(productId, time) {
+    const text = await readFrameFile(productId, time, METADATA_SUFFIX, "utf8");
+    if (text === null) return null;
+
+    const stored = JSON.parse(text);
+    return { ...stored, record: reviveRecord(stored.record) };
+  }
+
+  function readImage(productId, time) {
+    return readFrameFile(productId, time, IMAGE_SUFFIX);
+  }
+
+  // The full decoded record, values included, as the parser returned it.
+  // Inflating a CONUS grid takes a while, so it runs off the event loop.
+  async function readRecord(productId, time) {
+    const metadata = await readMetadata(productId, time);
+    if (!metadata) return null;
+
+    const compressed = await readFrameFile(productId, time, VALUES_SUFFIX);
+    if (!compressed) return null;
+
+    const bytes = await gunzipAsync(compressed);
+    const values = new Float32Array(
+      bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+    );
+    return { ...metadata.record, values };
+  }
+
+  // Values at the given offsets into the record's values, in the same order.
+  // Inflating stops once the furthest offset is read and runs off the event
+  // loop, so sampling a few points is much cheaper than readRecord.
+  async function readValues(productId, time, offsets) {
+    const frame = findFrame(productId, time);
+    if (!frame) return null;
+
+    const pending = offsets
+      .map((offset, position) => ({ byte: offset * 4, position }))
+      .sort((a, b) => a.byte - b.byte);
+    const values = new Array(offsets.length).fill(null);
+    const file = fs.createReadStream(
+      framePath(productId, frame.key, VALUES_SUFFIX)
+    );
+    const stream = file.pipe(createGunzip());
+
+    // Keep the last 3 bytes of each chunk for values split across chunks
+    let carry = Buffer.alloc(0);
+    let received = 0;
+    let next = 0;
+
+    try {
+      for await (const chunk of stream) {
+        const bytes = Buffer.concat([carry, chunk]);
+        const base = received - carry.length;
+        received += chunk.length;
+
+        while (
+          next < pending.length &&
+          pending[next].byte + 4 <= base + bytes.length
+        ) {
+          const { byte, position } = pending[next++];
+          values[position] = bytes.readFloatLE(byte - base);
+        }
+        if (next === pending.length) break;
+
+        carry = bytes.subarray(Math.max(0, bytes.length - 3));
+      }
+    } finally {
+      file.destroy();
+      stream.destroy();
+    }
+
+    return values;
+  }
+
+  return {
+    load,
+    add,
+    list,
+    readMetadata,
+    readImage,
+    readRecord,
+    readValues,
+  };
+}
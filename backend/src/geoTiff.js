@@ -0,0 +1,176 @@
+import { deflateSync } from "zlib";
+
+// Field types
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const DOUBLE = 12;
+const TYPE_SIZES = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+
+// Rows per deflated strip; keeps each strip around 100 KB uncompressed for a
+// CONUS-wide row
+const ROWS_PER_STRIP = 4;
+
+// GeoKey ids and values for a geographic WGS 84 raster
+const GT_MODEL_TYPE = 1024;
+const GT_RASTER_TYPE = 1025;
+const GEOGRAPHIC_TYPE = 2048;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_AREA = 1;
+const EPSG_WGS84 = 4326;
+
+function escapeXml(value) {
+  return String(value).replace(
+    /[<>&"]/g,
+    (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[char]
+  );
+}
+
+function writeValues(buffer, offset, type, values) {
+  if (type === ASCII) {
+    buffer.write(values, offset, "latin1");
+    return;
+  }
+  values.forEach((value, k) => {
+    if (type === SHORT) buffer.writeUInt16LE(value, offset + 2 * k);
+    else if (type === LONG) buffer.writeUInt32LE(value, offset + 4 * k);
+    else buffer.writeDoubleLE(value, offset + 8 * k);
+  });
+}
+
+// Deflate rows of little-endian float32 samples, ROWS_PER_STRIP at a time
+function compressStrips(values, width, height) {
+  const strips = [];
+  for (let top = 0; top < height; top += ROWS_PER_STRIP) {
+    const rows = Math.min(ROWS_PER_STRIP, height - top);
+    const raw = Buffer.alloc(rows * width * 4);
+    for (let k = 0; k < rows * width; k++) {
+      raw.writeFloatLE(values[top * width + k], k * 4);
+    }
+    strips.push(deflateSync(raw));
+  }
+  return strips;
+}
+
+/**
+ * Encode a north-up grid of float32 `values` as a single-band GeoTIFF in
+ * WGS 84 longitude/latitude. `bounds` are the outer edges of the raster,
+ * `noData` marks missing cells and `metadata` becomes GDAL metadata items
+ * (shown by gdalinfo and QGIS).
+ */
+export function encodeGeoTiff({
+  width,
+  height,
+  values,
+  bounds,
+  noData,
+  metadata = {},
+}) {
+  if (values.length !== width * height) {
+    throw new Error(
+      `GeoTIFF data has ${values.length} values, expected ${width * height}`
+    );
+  }
+
+  const strips = compressStrips(values, width, height);
+  const items = Object.entries(metadata)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(
+      ([name, value]) =>
+        `<Item name="${escapeXml(name)}">${escapeXml(value)}</Item>`
+    );
+
+  // Sorted by tag, as TIFF requires
+  const entries = [
+    [256, LONG, [width]], // ImageWidth
+    [257, LONG, [height]], // ImageLength
+    [258, SHORT, [32]], // BitsPerSample
+    [259, SHORT, [8]], // Compression: deflate
+    [262, SHORT, [1]], // PhotometricInterpretation: min is black
+    [273, LONG, strips.map(() => 0)], // StripOffsets, filled in below
+    [277, SHORT, [1]], // SamplesPerPixel
+    [278, LONG, [ROWS_PER_STRIP]], // RowsPerStrip
+    [279, LONG, strips.map((strip) => strip.length)], // StripByteCounts
+    [284, SHORT, [1]], // PlanarConfiguration: chunky
+    [339, SHORT, [3]], // SampleFormat: IEEE float
+    [
+      33550, // ModelPixelScale
+      DOUBLE,
+      [
+        (bounds.east - bounds.west) / width,
+        (bounds.north - bounds.south) / height,
+        0,
+      ],
+    ],
+    [33922, DOUBLE, [0, 0, 0, bounds.west, bounds.north, 0]], // ModelTiepoint
+    [
+      34735, // GeoKeyDirectory: version 1.1.0, then id, location, count, value
+      SHORT,
+      [
+        1,
+        1,
+        0,
+        3,
+        GT_MODEL_TYPE,
+        0,
+        1,
+        MODEL_TYPE_GEOGRAPHIC,
+        GT_RASTER_TYPE,
+        0,
+        1,
+        RASTER_PIXEL_IS_AREA,
+        GEOGRAPHIC_TYPE,
+        0,
+        1,
+        EPSG_WGS84,
+      ],
+    ],
+    ...(items.length > 0
+      ? [[42112, ASCII, `<GDALMetadata>${items.join("")}</GDALMetadata>\0`]]
+      : []),
+    [42113, ASCII, `${noData}\0`], // GDAL_NODATA
+  ];
+
+  // Header, then the directory, then values too big for their entry, then
+  // the strips
+  const directoryOffset = 8;
+  const directorySize = 2 + entries.length * 12 + 4;
+  let dataOffset = directoryOffset + directorySize;
+  const layout = entries.map(([tag, type, values]) => {
+    const size = TYPE_SIZES[type] * values.length;
+    const offset = size > 4 ? dataOffset : null;
+    if (offset !== null) dataOffset += size + (size % 2);
+    return { tag, type, values, offset };
+  });
+
+  let stripOffset = dataOffset;
+  const stripOffsets = layout.find((entry) => entry.tag === 273);
+  stripOffsets.values = strips.map((strip) => {
+    const offset = stripOffset;
+    stripOffset += strip.length;
+    return offset;
+  });
+
+  const header = Buffer.alloc(dataOffset);
+  header.write("II", 0, "latin1");
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(directoryOffset, 4);
+  header.writeUInt16LE(entries.length, directoryOffset);
+
+  layout.forEach(({ tag, type, values, offset }, k) => {
+    const entry = directoryOffset + 2 + k * 12;
+    header.writeUInt16LE(tag, entry);
+    header.writeUInt16LE(type, entry + 2);
+    header.writeUInt32LE(values.length, entry + 4);
+    if (offset === null) {
+      writeValues(header, entry + 8, type, values);
+    } else {
+      header.writeUInt32LE(offset, entry + 8);
+      writeValues(header, offset, type, values);
+    }
+  });
+  // No further directories
+  header.writeUInt32LE(0, directoryOffset + 2 + entries.length * 12);
+
+  return Buffer.concat([header, ...strips]);
+}
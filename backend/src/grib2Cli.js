@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { gunzipSync } from "zlib";
+import {
+  listGrib2Fields,
+  listGrib2Sections,
+  matchesGrib2Field,
+  parseGrib2,
+  parseGrib2Messages,
+} from "./grib2Parser.js";
+import { setProgressLogging } from "./progressLog.js";
+import { createGridProjection } from "./projection.js";
+import { renderRadarPng } from "./radarRenderer.js";
+
+const MISSING_VALUE = -999;
+
+const USAGE = `Usage: grib2 <command> <file> [options]
+
+Inspect and convert GRIB2 files (plain or .gz).
+
+Commands:
+  list                      List messages and sections with their templates
+  info                      Print grid, product and packing metadata and
+                            value statistics for each field
+  value --at LAT,LON        Print each field's value at one or more points
+  convert --out FILE        Write one field as PNG, CSV or raw Float32
+
+Field selection:
+  --field N                 Only the Nth matching field in the file (0-based)
+  --name NAME               Parameter name, e.g. MergedReflectivityQC
+  --discipline N  --category N  --parameter N  --level-type N  --level N
+
+Conversion:
+  --format png|csv|f32      Output format (default: from --out extension)
+  --projection latlon|mercator
+                            Raster projection for PNG output
+  --include-missing         Keep missing points in CSV output
+
+  --verbose                 Show the parser's progress logging
+  --help                    Show this message
+`;
+
+const OPTIONS = {
+  field: { type: "string" },
+  name: { type: "string" },
+  discipline: { type: "string" },
+  category: { type: "string" },
+  parameter: { type: "string" },
+  "level-type": { type: "string" },
+  level: { type: "string" },
+  at: { type: "string", multiple: true },
+  out: { type: "string" },
+  format: { type: "string" },
+  projection: { type: "string" },
+  "include-missing": { type: "boolean" },
+  verbose: { type: "boolean" },
+  help: { type: "boolean" },
+};
+
+const CRITERIA_OPTIONS = {
+  discipline: "discipline",
+  category: "parameterCategory",
+  parameter: "parameterNumber",
+  "level-type": "levelType",
+  level: "levelValue",
+};
+
+function print(line = "") {
+  process.stdout.write(`${line}\n`);
+}
+
+function parseNumber(value, option) {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number)) {
+    throw new Error(`--${option} expects a number, got "${value}"`);
+  }
+  return number;
+}
+
+function readGribFile(file) {
+  const data = fs.readFileSync(file);
+  // gzip magic number, whatever the file is called
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    return gunzipSync(data);
+  }
+  return data;
+}
+
+function getCriteria(values) {
+  const criteria = {};
+  if (values.name !== undefined) {
+    criteria.name = values.name;
+  }
+  for (const [option, key] of Object.entries(CRITERIA_OPTIONS)) {
+    if (values[option] !== undefined) {
+      criteria[key] = parseNumber(values[option], option);
+    }
+  }
+  return criteria;
+}
+
+async function selectRecords(buffer, values) {
+  const criteria = getCriteria(values);
+
+  if (values.field !== undefined) {
+    const index = parseNumber(values.field, "field");
+    // Pick the field from the headers so only that one is unpacked
+    const matching = listGrib2Fields(buffer).filter((field) =>
+      matchesGrib2Field(field, criteria)
+    );
+    const field = matching[index];
+    if (!field) {
+      throw new Error(
+        `Field ${index} not found; ${matching.length} field(s) match`
+      );
+    }
+    const { messageIndex, fieldIndex } = field;
+    return [await parseGrib2(buffer, { messageIndex, fieldIndex })];
+  }
+
+  const records = await parseGrib2Messages(buffer, criteria);
+
+  if (records.length === 0) {
+    throw new Error("No field matches the selection");
+  }
+  return records;
+}
+
+function describeLevel(level) {
+  if (!level) return "none";
+  const value = level.value === null ? "" : ` ${level.value}`;
+  return `${level.name}${value}${level.unit ? ` ${level.unit}` : ""}`;
+}
+
+function computeStats(values) {
+  let min = Infinity,
+    max = -Infinity,
+    sum = 0,
+    valid = 0;
+  for (const value of values) {
+    if (value === MISSING_VALUE || Number.isNaN(value)) continue;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value;
+    valid++;
+  }
+  return {
+    min: valid ? min : null,
+    max: valid ? max : null,
+    mean: valid ? sum / valid : null,
+    valid,
+    missing: values.length - valid,
+  };
+}
+
+function formatValue(value) {
+  if (value === null) return "n/a";
+  return Number.isInteger(value) ? String(value) : value.toFixed(4);
+}
+
+function fieldTitle(record) {
+  const { product } = record;
+  return `Message ${record.messageIndex}, field ${record.fieldIndex}: ${
+    product.name
+  }${product.unit ? `, ${product.unit}` : ""}`;
+}
+
+function listCommand(buffer) {
+  for (const [index, message] of listGrib2Sections(buffer).entries()) {
+    print(
+      `Message ${index}: offset ${message.offset}, ${message.totalLength} bytes, discipline ${message.discipline}, edition ${message.edition}`
+    );
+    for (const section of message.sections) {
+      let detail = "";
+      if (section.templateNum !== undefined) {
+        detail = `, template ${section.number}.${section.templateNum}`;
+      } else if (section.bitmapIndicator !== undefined) {
+        detail = `, bitmap indicator ${section.bitmapIndicator}`;
+      }
+      print(
+        `  Section ${section.number}: offset ${section.offset}, ${section.length} bytes${detail}`
+      );
+    }
+  }
+}
+
+async function infoCommand(buffer, values) {
+  for (const record of await selectRecords(buffer, values)) {
+    const { grid, product, packing } = record;
+    const stats = computeStats(record.values);
+
+    print(fieldTitle(record));
+    print(
+      `  Reference time: ${record.timestamp.toISOString()}, center ${record.centerId}/${record.subCenterId}`
+    );
+    print(
+      `  Parameter: discipline ${record.discipline}, category ${product.parameterCategory}, number ${product.parameterNumber}, template 4.${product.templateNum}`
+    );
+    print(`  Level: ${describeLevel(product.level)}`);
+    if (product.forecastTime) {
+      print(
+        `  Forecast time: ${product.forecastTime.value} ${product.forecastTime.unit}, valid ${product.validTime.toISOString()}`
+      );
+    }
+    for (const range of product.timeRanges || []) {
+      print(
+        `  Time range: ${range.processName || `process ${range.process}`} over ${range.length} ${range.lengthUnit}`
+      );
+    }
+    print(
+      `  Grid: template 3.${grid.templateNum}, ${record.width}x${record.height} (${grid.numPoints} points), scanning mode 0x${(
+        record.scanningMode || 0
+      )
+        .toString(16)
+        .padStart(2, "0")}`
+    );
+    if (grid.templateNum === 0) {
+      print(
+        `  First point: ${grid.lat1}, ${grid.lon1}; last point: ${grid.lat2}, ${grid.lon2}; increments ${grid.dx} x ${grid.dy} deg`
+      );
+    } else if (grid.templateNum === 20 || grid.templateNum === 30) {
+      print(
+        `  First point: ${grid.lat1}, ${grid.lon1}; LoV ${grid.lov}, LaD ${grid.lad}${
+          grid.templateNum === 30
+            ? `, Latin1 ${grid.latin1}, Latin2 ${grid.latin2}`
+            : ""
+        }; increments ${grid.dx} x ${grid.dy} m`
+      );
+    }
+    if (record.bounds) {
+      const { west, east, south, north } = record.bounds;
+      print(
+        `  Bounds: west ${west}, east ${east}, south ${south}, north ${north}`
+      );
+    }
+    print(
+      `  Packing: template 5.${packing.templateNum}, ${packing.numDataPoints} packed values, R=${packing.referenceValue}, E=${packing.binaryScaleFactor}, D=${packing.decimalScaleFactor}, ${packing.bitsPerValue ?? "n/a"} bits`
+    );
+    print(
+      `  Values: min ${formatValue(stats.min)}, max ${formatValue(
+        stats.max
+      )}, mean ${formatValue(stats.mean)}, ${stats.valid} valid, ${stats.missing} missing`
+    );
+  }
+}
+
+async function valueCommand(buffer, values) {
+  if (!values.at || values.at.length === 0) {
+    throw new Error("value needs at least one --at LAT,LON");
+  }
+
+  const points = values.at.map((point) => {
+    const [lat, lon] = point.split(",");
+    return [parseNumber(lat, "at"), parseNumber(lon, "at")];
+  });
+
+  for (const record of await selectRecords(buffer, values)) {
+    print(fieldTitle(record));
+    const projection = createGridProjection(record.grid);
+
+    for (const [lat, lon] of points) {
+      const [i, j] = projection
+        .toGridIndex(lon, lat)
+        .map((index) => Math.round(index));
+
+      if (i < 0 || i >= record.width || j < 0 || j >= record.height) {
+        print(`  ${lat}, ${lon}: outside grid`);
+        continue;
+      }
+
+      const value = record.values[j * record.width + i];
+      const [gridLon, gridLat] = projection.toLonLat(i, j);
+      print(
+        `  ${lat}, ${lon}: ${
+          value === MISSING_VALUE ? "missing" : formatValue(value)
+        } (grid point i=${i} j=${j} at ${gridLat.toFixed(4)}, ${gridLon.toFixed(4)})`
+      );
+    }
+  }
+}
+
+function writeCsv(record, file, includeMissing) {
+  const projection = createGridProjection(record.grid);
+  const fd = fs.openSync(file, "w");
+  let lines = ["lat,lon,value"];
+  let written = 0;
+
+  try {
+    for (let j = 0; j < record.height; j++) {
+      for (let i = 0; i < record.width; i++) {
+        const value = record.values[j * record.width + i];
+        const missing = value === MISSING_VALUE;
+        if (missing && !includeMissing) continue;
+
+        const [lon, lat] = projection.toLonLat(i, j);
+        lines.push(
+          `${lat.toFixed(5)},${lon.toFixed(5)},${missing ? "" : value}`
+        );
+        written++;
+      }
+      // Flush every 64k lines so huge grids never build one giant string
+      if (lines.length >= 65536) {
+        fs.writeSync(fd, `${lines.join("\n")}\n`);
+        lines = [];
+      }
+    }
+    if (lines.length > 0) {
+      fs.writeSync(fd, `${lines.join("\n")}\n`);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return `${written} points`;
+}
+
+async function convertCommand(buffer, values) {
+  if (!values.out) {
+    throw new Error("convert needs --out FILE");
+  }
+
+  const format = (
+    values.format || path.extname(values.out).slice(1)
+  ).toLowerCase();
+  const [record] = await selectRecords(buffer, values);
+  let summary;
+
+  if (format === "png") {
+    const png = await renderRadarPng(record, {
+      projection: values.projection || "latlon",
+    });
+    fs.writeFileSync(values.out, png);
+    summary = `${(png.length / 1024).toFixed(1)} KB PNG`;
+  } else if (format === "csv") {
+    summary = writeCsv(record, values.out, values["include-missing"]);
+  } else if (format === "f32" || format === "bin" || format === "raw") {
+    // Little-endian Float32 in the grid's scan order, -999 for missing
+    const data = Buffer.from(
+      record.values.buffer,
+      record.values.byteOffset,
+      record.values.byteLength
+    );
+    fs.writeFileSync(values.out, data);
+    summary = `${record.width}x${record.height} little-endian Float32 values in scan order`;
+  } else {
+    throw new Error(`Unknown output format: ${format || "(none)"}`);
+  }
+
+  print(`${fieldTitle(record)}`);
+  print(`Wrote ${summary} to ${values.out}`);
+}
+
+const COMMANDS = {
+  list: listCommand,
+  info: infoCommand,
+  value: valueCommand,
+  convert: convertCommand,
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, file] = positionals;
+
+  if (values.help || !command) {
+    print(USAGE);
+    return;
+  }
+
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  if (!file) {
+    throw new Error(`${command} needs a GRIB2 file`);
+  }
+
+  setProgressLogging(Boolean(values.verbose));
+
+  await COMMANDS[command](readGribFile(file), values);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
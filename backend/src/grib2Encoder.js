@@ -0,0 +1,461 @@
+import { lookupTimeUnitCode } from "./grib2Tables.js";
+import { encodePng } from "./png.js";
+
+// Sentinel the parser uses for points absent from the bitmap
+const MISSING_VALUE = -999;
+
+// Bit depths a template 5.41 PNG can carry: greyscale up to 16 bits, then
+// 8-bit RGB and RGBA
+const PNG_BIT_DEPTHS = [1, 2, 4, 8, 16, 24, 32];
+
+// Section 1 entries the parser does not carry on records
+const DEFAULT_IDENTIFICATION = {
+  masterTablesVersion: 2,
+  localTablesVersion: 1,
+  referenceTimeSignificance: 0,
+  productionStatus: 0,
+  dataType: 0,
+};
+
+function section(num, body) {
+  const buffer = Buffer.alloc(5 + body.length);
+  buffer.writeUInt32BE(buffer.length, 0);
+  buffer[4] = num;
+  body.copy(buffer, 5);
+  return buffer;
+}
+
+// GRIB2 stores signed integers as sign and magnitude, not two's complement
+function writeInt(buffer, value, offset, bytes) {
+  const signBit = Math.pow(2, bytes * 8 - 1);
+  const magnitude = Math.min(Math.abs(Math.round(value)), signBit - 1);
+  buffer.writeUIntBE(
+    value < 0 ? signBit + magnitude : magnitude,
+    offset,
+    bytes
+  );
+}
+
+function writeMissing(buffer, offset, bytes) {
+  buffer.fill(0xff, offset, offset + bytes);
+}
+
+function isMissing(value) {
+  return value === MISSING_VALUE || Number.isNaN(value);
+}
+
+function timeUnitCode(name, fallback) {
+  if (name === undefined || name === null) return fallback;
+  const match = /^code (\d+)$/.exec(name);
+  if (match) return Number(match[1]);
+
+  const code = lookupTimeUnitCode(name);
+  if (code === null) {
+    throw new Error(`Unknown time unit: ${name}`);
+  }
+  return code;
+}
+
+function encodeSection0(discipline, totalLength) {
+  const buffer = Buffer.alloc(16);
+  buffer.write("GRIB", 0, "ascii");
+  buffer[6] = discipline;
+  buffer[7] = 2;
+  buffer.writeBigUInt64BE(BigInt(totalLength), 8);
+  return buffer;
+}
+
+function encodeSection1(record, options) {
+  const identification = { ...DEFAULT_IDENTIFICATION, ...options };
+  const time = new Date(record.timestamp);
+  const body = Buffer.alloc(16);
+
+  body.writeUInt16BE(record.centerId ?? 161, 0);
+  body.writeUInt16BE(record.subCenterId ?? 0, 2);
+  body[4] = identification.masterTablesVersion;
+  body[5] = identification.localTablesVersion;
+  body[6] = identification.referenceTimeSignificance;
+  body.writeUInt16BE(time.getUTCFullYear(), 7);
+  body[9] = time.getUTCMonth() + 1;
+  body[10] = time.getUTCDate();
+  body[11] = time.getUTCHours();
+  body[12] = time.getUTCMinutes();
+  body[13] = time.getUTCSeconds();
+  body[14] = identification.productionStatus;
+  body[15] = identification.dataType;
+
+  return section(1, body);
+}
+
+/**
+ * Section 3 with grid template 3.0 (regular lat/lon). `lat2`/`lon2` are
+ * derived from the increments when the grid does not carry them.
+ */
+function encodeSection3(grid) {
+  if (grid.templateNum !== undefined && grid.templateNum !== 0) {
+    throw new Error(
+      `Only grid template 3.0 can be encoded, got ${grid.templateNum}`
+    );
+  }
+
+  const { width, height, lat1, lon1, dx, dy } = grid;
+  const scanningMode = grid.scanningMode || 0;
+  const lat2 =
+    grid.lat2 ?? lat1 + (scanningMode & 0x40 ? 1 : -1) * (height - 1) * dy;
+  const lon2 =
+    grid.lon2 ?? lon1 + (scanningMode & 0x80 ? -1 : 1) * (width - 1) * dx;
+
+  const body = Buffer.alloc(67);
+  body[0] = 0;
+  body.writeUInt32BE(width * height, 1);
+  body[5] = 0;
+  body[6] = 0;
+  body.writeUInt16BE(0, 7);
+
+  const t = 9;
+  const earthShape = grid.earthShape ?? 6;
+  body[t] = earthShape;
+  if (earthShape === 1) {
+    body.writeUInt32BE(Math.round(grid.earthRadius), t + 2);
+  } else if (earthShape === 7) {
+    body.writeUInt32BE(Math.round(grid.earthRadius), t + 7);
+  }
+
+  const toMicro = (degrees) => Math.round(degrees * 1e6);
+  const toLongitude = (lon) => toMicro(((lon % 360) + 360) % 360);
+
+  body.writeUInt32BE(width, t + 16);
+  body.writeUInt32BE(height, t + 20);
+  body.writeUInt32BE(0, t + 24);
+  writeMissing(body, t + 28, 4);
+  writeInt(body, toMicro(lat1), t + 32, 4);
+  body.writeUInt32BE(toLongitude(lon1), t + 36);
+  // i and j direction increments given
+  body[t + 40] = 0x30;
+  writeInt(body, toMicro(lat2), t + 41, 4);
+  body.writeUInt32BE(toLongitude(lon2), t + 45);
+  body.writeUInt32BE(toMicro(dx), t + 49);
+  body.writeUInt32BE(toMicro(dy), t + 53);
+  body[t + 57] = scanningMode;
+
+  return section(3, body);
+}
+
+function writeFixedSurface(buffer, offset, level) {
+  if (!level) {
+    buffer[offset] = 255;
+    writeMissing(buffer, offset + 1, 5);
+    return;
+  }
+
+  buffer[offset] = level.type;
+
+  if (level.value === null || level.value === undefined) {
+    writeMissing(buffer, offset + 1, 5);
+    return;
+  }
+
+  // Smallest decimal scale that represents the value exactly
+  let scale = 0;
+  while (scale < 9 && !Number.isInteger(level.value * Math.pow(10, scale))) {
+    scale++;
+  }
+  writeInt(buffer, scale, offset + 1, 1);
+  writeInt(buffer, level.value * Math.pow(10, scale), offset + 2, 4);
+}
+
+/**
+ * Section 4 with product template 4.0, or 4.8 when the product carries
+ * statistical time ranges
+ */
+function encodeSection4(product) {
+  const statistical = product.templateNum === 8;
+  const timeRanges = product.timeRanges || [];
+  const body = Buffer.alloc(statistical ? 41 + timeRanges.length * 12 : 29);
+
+  body.writeUInt16BE(0, 0);
+  body.writeUInt16BE(statistical ? 8 : 0, 2);
+  body[4] = product.parameterCategory;
+  body[5] = product.parameterNumber;
+
+  const process = product.generatingProcess || {};
+  body[6] = process.type ?? 0;
+  body[7] = process.background ?? 255;
+  body[8] = process.identifier ?? 255;
+  body.writeUInt16BE(0, 9);
+  body[11] = 0;
+
+  const forecastTime = product.forecastTime || {};
+  body[12] = timeUnitCode(forecastTime.unit, 1);
+  writeInt(body, forecastTime.value || 0, 13, 4);
+
+  writeFixedSurface(body, 17, product.level);
+  writeFixedSurface(body, 23, product.secondLevel);
+
+  if (statistical) {
+    const endTime = new Date(product.endTime || product.validTime);
+    body.writeUInt16BE(endTime.getUTCFullYear(), 29);
+    body[31] = endTime.getUTCMonth() + 1;
+    body[32] = endTime.getUTCDate();
+    body[33] = endTime.getUTCHours();
+    body[34] = endTime.getUTCMinutes();
+    body[35] = endTime.getUTCSeconds();
+    body[36] = timeRanges.length;
+    body.writeUInt32BE(product.missingCount || 0, 37);
+
+    timeRanges.forEach((range, i) => {
+      const rangeOffset = 41 + i * 12;
+      body[rangeOffset] = range.process;
+      body[rangeOffset + 1] = range.incrementType ?? 2;
+      body[rangeOffset + 2] = timeUnitCode(range.lengthUnit, 1);
+      body.writeUInt32BE(range.length, rangeOffset + 3);
+      body[rangeOffset + 7] = timeUnitCode(range.incrementUnit, 1);
+      body.writeUInt32BE(range.increment || 0, rangeOffset + 8);
+    });
+  }
+
+  return section(4, body);
+}
+
+/**
+ * Pick R, E, D and the bit width for simple/PNG packing. Parameters from an
+ * existing packing are reused when every value still fits, so a parsed
+ * record re-encodes to the same bytes; otherwise E is chosen as the finest
+ * binary scale whose range fits in `bitsPerValue` bits.
+ */
+function computePacking(values, requested, templateNum) {
+  const decimalScaleFactor = requested.decimalScaleFactor ?? 0;
+  let bitsPerValue = requested.bitsPerValue || 16;
+
+  if (templateNum === 41) {
+    bitsPerValue = PNG_BIT_DEPTHS.find((depth) => depth >= bitsPerValue);
+    if (!bitsPerValue) {
+      throw new Error(`PNG packing supports at most 32 bits per value`);
+    }
+  } else if (bitsPerValue > 32) {
+    throw new Error(`Simple packing supports at most 32 bits per value`);
+  }
+
+  const decimalFactor = Math.pow(10, decimalScaleFactor);
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    min = Math.min(min, value * decimalFactor);
+    max = Math.max(max, value * decimalFactor);
+  }
+
+  if (values.length === 0 || max === min) {
+    return {
+      referenceValue: Math.fround(values.length ? min : 0),
+      binaryScaleFactor: 0,
+      decimalScaleFactor,
+      bitsPerValue: 0,
+    };
+  }
+
+  const maxPacked = Math.pow(2, bitsPerValue) - 1;
+  const fits = (referenceValue, binaryScaleFactor) =>
+    referenceValue <= min + Math.abs(min) * 1e-6 &&
+    Math.round((max - referenceValue) * Math.pow(2, -binaryScaleFactor)) <=
+      maxPacked;
+
+  if (
+    requested.bitsPerValue === bitsPerValue &&
+    Number.isFinite(requested.referenceValue) &&
+    Number.isInteger(requested.binaryScaleFactor) &&
+    fits(requested.referenceValue, requested.binaryScaleFactor)
+  ) {
+    return {
+      referenceValue: requested.referenceValue,
+      binaryScaleFactor: requested.binaryScaleFactor,
+      decimalScaleFactor,
+      bitsPerValue,
+    };
+  }
+
+  const referenceValue = Math.fround(min);
+  let binaryScaleFactor = Math.ceil(
+    Math.log2((max - referenceValue) / maxPacked)
+  );
+  while (!fits(referenceValue, binaryScaleFactor)) {
+    binaryScaleFactor++;
+  }
+
+  return {
+    referenceValue,
+    binaryScaleFactor,
+    decimalScaleFactor,
+    bitsPerValue,
+  };
+}
+
+function quantize(values, packing) {
+  const { referenceValue, binaryScaleFactor, decimalScaleFactor } = packing;
+  const decimalFactor = Math.pow(10, decimalScaleFactor);
+  const binaryFactor = Math.pow(2, -binaryScaleFactor);
+  const maxPacked = Math.pow(2, packing.bitsPerValue) - 1;
+  const packed = new Float64Array(values.length);
+
+  for (let i = 0; i < values.length; i++) {
+    const p = Math.round(
+      (values[i] * decimalFactor - referenceValue) * binaryFactor
+    );
+    packed[i] = Math.max(0, Math.min(maxPacked, p));
+  }
+
+  return packed;
+}
+
+// Big-endian, most significant bit first; each of `rows` rows starts on a
+// byte boundary, which is what PNG scanlines need
+function packBits(packed, bitsPerValue, rows = 1) {
+  const perRow = packed.length / rows;
+  const stride = Math.ceil((perRow * bitsPerValue) / 8);
+  const output = Buffer.alloc(stride * rows);
+
+  for (let row = 0; row < rows; row++) {
+    let bitOffset = row * stride * 8;
+    for (let i = row * perRow; i < (row + 1) * perRow; i++) {
+      let value = packed[i];
+      for (let bit = bitsPerValue - 1; bit >= 0; bit--) {
+        const weight = Math.pow(2, bit);
+        if (value >= weight) {
+          output[bitOffset >>> 3] |= 0x80 >> (bitOffset & 7);
+          value -= weight;
+        }
+        bitOffset++;
+      }
+    }
+  }
+
+  return output;
+}
+
+function encodeSection5(templateNum, numDataPoints, packing) {
+  const body = Buffer.alloc(16);
+  body.writeUInt32BE(numDataPoints, 0);
+  body.writeUInt16BE(templateNum, 4);
+  body.writeFloatBE(packing.referenceValue, 6);
+  writeInt(body, packing.binaryScaleFactor, 10, 2);
+  writeInt(body, packing.decimalScaleFactor, 12, 2);
+  body[14] = packing.bitsPerValue;
+  // Original field values were floating point
+  body[15] = 0;
+  return section(5, body);
+}
+
+function encodeSection6(bitmap) {
+  if (!bitmap) {
+    return section(6, Buffer.from([255]));
+  }
+  return section(6, Buffer.concat([Buffer.from([0]), bitmap]));
+}
+
+function encodeSection7(templateNum, packed, packing, width, height) {
+  if (packing.bitsPerValue === 0 || packed.length === 0) {
+    return section(7, Buffer.alloc(0));
+  }
+
+  if (templateNum === 0) {
+    return section(7, packBits(packed, packing.bitsPerValue));
+  }
+
+  const { bitsPerValue } = packing;
+  const colorType = bitsPerValue === 24 ? 2 : bitsPerValue === 32 ? 6 : 0;
+  const bitDepth = bitsPerValue > 16 ? 8 : bitsPerValue;
+
+  return section(
+    7,
+    encodePng({
+      width,
+      height,
+      bitDepth,
+      colorType,
+      data: packBits(packed, bitsPerValue, height),
+    })
+  );
+}
+
+function encodeMessage(record, options) {
+  const { grid = record, product, values } = record;
+  const width = grid.width ?? record.width;
+  const height = grid.height ?? record.height;
+  const numPoints = width * height;
+
+  if (values.length !== numPoints) {
+    throw new Error(
+      `Record has ${values.length} values, grid has ${numPoints} points`
+    );
+  }
+
+  const requested = options.packing || record.packing || {};
+  const templateNum = requested.templateNum === 41 ? 41 : 0;
+
+  // Missing points go into a bitmap and are left out of the packed data
+  let bitmap = null;
+  let present = values;
+  let missingCount = 0;
+  for (let i = 0; i < numPoints; i++) {
+    if (isMissing(values[i])) missingCount++;
+  }
+  if (missingCount > 0) {
+    bitmap = Buffer.alloc(Math.ceil(numPoints / 8));
+    present = new Float64Array(numPoints - missingCount);
+    let index = 0;
+    for (let i = 0; i < numPoints; i++) {
+      if (!isMissing(values[i])) {
+        bitmap[i >> 3] |= 0x80 >> (i & 7);
+        present[index++] = values[i];
+      }
+    }
+  }
+
+  const packing = computePacking(present, requested, templateNum);
+  const packed = quantize(present, packing);
+
+  // With a bitmap the PNG holds only the present points, as a single row
+  const imageWidth = bitmap ? present.length : width;
+  const imageHeight = bitmap ? 1 : height;
+
+  const sections = Buffer.concat([
+    encodeSection1(record, options),
+    encodeSection3({ ...grid, width, height }),
+    encodeSection4(product),
+    encodeSection5(templateNum, present.length, packing),
+    encodeSection6(bitmap),
+    encodeSection7(templateNum, packed, packing, imageWidth, imageHeight),
+  ]);
+
+  const totalLength = 16 + sections.length + 4;
+
+  return Buffer.concat([
+    encodeSection0(record.discipline, totalLength),
+    sections,
+    Buffer.from("7777", "ascii"),
+  ]);
+}
+
+/**
+ * Encode one record, or an array of records, as GRIB2 messages (one per
+ * record) using grid template 3.0 and data representation template 5.0 or
+ * 5.41. Records use the shape parseGrib2 returns: discipline, centerId,
+ * subCenterId, timestamp, grid, product, values and optionally packing.
+ * Values equal to -999 (or NaN) are written through a Section 6 bitmap.
+ *
+ * `options.packing` ({ templateNum, decimalScaleFactor, bitsPerValue })
+ * overrides the record's own packing; Section 1 table versions and status
+ * codes can be set with the remaining options.
+ */
+export function encodeGrib2(records, options = {}) {
+  const list = Array.isArray(records) ? records : [records];
+  const { packing, ...identification } = options;
+
+  return Buffer.concat(
+    list.map((record) =>
+      encodeMessage(record, {
+        ...identification,
+        packing,
+      })
+    )
+  );
+}
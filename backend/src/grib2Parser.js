@@ -1,4 +1,18 @@
-import sharp from "sharp";
+import { decodeJpeg2000 } from "./jpeg2000Decoder.js";
+import {
+  lookupGeneratingProcess,
+  lookupMissingValues,
+  lookupParameter,
+  lookupStatisticalProcess,
+  lookupSurfaceType,
+  lookupTimeUnit,
+} from "./grib2Tables.js";
+import { decodePng } from "./png.js";
+import { logProgress } from "./progressLog.js";
+import { computeGridBounds } from "./projection.js";
+
+// Sentinel the renderer treats as transparent
+const MISSING_VALUE = -999;
 
 function readUint(buffer, offset, bytes) {
   let value = 0;
@@ -17,25 +31,60 @@ function readInt(buffer, offset, bytes) {
   return value;
 }
 
+/**
+ * Sequential big-endian bit reader over a data section. Reads past the end
+ * yield zero bits, matching how short payloads were always treated.
+ */
+function createBitReader(buffer) {
+  let bitOffset = 0;
+
+  return {
+    read(bits) {
+      let value = 0;
+      while (bits > 0) {
+        const byte = buffer[bitOffset >>> 3] || 0;
+        const available = 8 - (bitOffset & 7);
+        const take = Math.min(bits, available);
+        const chunk = (byte >> (available - take)) & ((1 << take) - 1);
+        // Multiply rather than shift so widths up to 32 bits stay unsigned
+        value = value * (1 << take) + chunk;
+        bits -= take;
+        bitOffset += take;
+      }
+      return value;
+    },
+
+    readSignMagnitude(bits) {
+      const negative = this.read(1);
+      const magnitude = this.read(bits - 1);
+      return negative ? -magnitude : magnitude;
+    },
+
+    align() {
+      bitOffset = Math.ceil(bitOffset / 8) * 8;
+    },
+  };
+}
+
 function readFloat32(buffer, offset) {
   const view = new DataView(buffer.buffer, buffer.byteOffset + offset, 4);
   return view.getFloat32(0, false); // big-endian
 }
 
-function parseSection0(buffer) {
-  const magic = buffer.slice(0, 4).toString("ascii");
+function parseSection0(buffer, offset) {
+  const magic = buffer.slice(offset, offset + 4).toString("ascii");
   if (magic !== "GRIB") {
     throw new Error("Invalid GRIB2 file: missing GRIB magic number");
   }
 
-  const discipline = buffer[6];
+  const discipline = buffer[offset + 6];
 
-  const edition = buffer[7];
+  const edition = buffer[offset + 7];
   if (edition !== 2) {
     throw new Error(`Unsupported GRIB edition: ${edition}`);
   }
 
-  const totalLength = Number(buffer.readBigUInt64BE(8));
+  const totalLength = Number(buffer.readBigUInt64BE(offset + 8));
 
   return { discipline, edition, totalLength };
 }
@@ -87,6 +136,8 @@ function parseSection3(buffer, offset) {
 
   if (templateNum === 0) {
     gridInfo = parseGridTemplate0(buffer, offset + 14, numPoints);
+  } else if (templateNum === 20) {
+    gridInfo = parseGridTemplate20(buffer, offset + 14, numPoints);
   } else if (templateNum === 30) {
     gridInfo = parseGridTemplate30(buffer, offset + 14, numPoints);
   }
@@ -135,6 +186,7 @@ function parseGridTemplate0(buffer, offset, numPoints) {
     dx,
     dy,
     scanningMode,
+    ...parseEarthShape(buffer, offset),
     bounds: {
       west: Math.min(lon1, lon2),
       east: Math.max(lon1, lon2),
@@ -144,29 +196,260 @@ function parseGridTemplate0(buffer, offset, numPoints) {
   };
 }
 
-function parseGridTemplate30(buffer, offset, numPoints) {
+// Code Table 3.2 - Shape of the Earth. Projected grids are handled with
+// spherical formulas, so oblate shapes use their semi-major axis.
+function parseEarthShape(buffer, offset) {
+  const shape = buffer[offset];
+  const radiusScale = buffer[offset + 1];
+  const radiusValue = readUint(buffer, offset + 2, 4);
+  const majorScale = buffer[offset + 6];
+  const majorValue = readUint(buffer, offset + 7, 4);
+
+  let earthRadius;
+  switch (shape) {
+    case 0:
+      earthRadius = 6367470;
+      break;
+    case 1:
+      earthRadius = radiusValue / Math.pow(10, radiusScale);
+      break;
+    case 2:
+      earthRadius = 6378160;
+      break;
+    case 3:
+      earthRadius = (majorValue / Math.pow(10, majorScale)) * 1000;
+      break;
+    case 4:
+    case 5:
+      earthRadius = 6378137;
+      break;
+    case 7:
+      earthRadius = majorValue / Math.pow(10, majorScale);
+      break;
+    case 8:
+      earthRadius = 6371200;
+      break;
+    case 9:
+      earthRadius = 6377563.396;
+      break;
+    default:
+      earthRadius = 6371229;
+  }
+
+  return { earthShape: shape, earthRadius };
+}
+
+function normalizeLongitude(lon) {
+  return lon > 180 ? lon - 360 : lon;
+}
+
+// Templates 3.20 and 3.30 share their layout up to the scanning mode
+function parseProjectedGrid(buffer, offset, numPoints, templateNum) {
   const nx = readUint(buffer, offset + 16, 4);
 
   const ny = readUint(buffer, offset + 20, 4);
 
   const lat1 = readInt(buffer, offset + 24, 4) / 1e6;
 
-  let lon1 = readInt(buffer, offset + 28, 4) / 1e6;
-  if (lon1 > 180) lon1 -= 360;
+  const lon1 = normalizeLongitude(readInt(buffer, offset + 28, 4) / 1e6);
+
+  const lad = readInt(buffer, offset + 33, 4) / 1e6;
+
+  const lov = normalizeLongitude(readInt(buffer, offset + 37, 4) / 1e6);
+
+  // Grid lengths are stored in millimetres
+  const dx = readUint(buffer, offset + 41, 4) / 1000;
+
+  const dy = readUint(buffer, offset + 45, 4) / 1000;
+
+  const projectionCentre = buffer[offset + 49];
+
+  const scanningMode = buffer[offset + 50];
 
   return {
     numPoints,
-    templateNum: 30,
+    templateNum,
     width: nx,
     height: ny,
     lat1,
     lon1,
-    bounds: {
-      west: -130.0,
-      east: -60.0,
-      south: 20.0,
-      north: 55.0,
+    lad,
+    lov,
+    dx,
+    dy,
+    projectionCentre,
+    scanningMode,
+    ...parseEarthShape(buffer, offset),
+  };
+}
+
+function parseGridTemplate20(buffer, offset, numPoints) {
+  const grid = parseProjectedGrid(buffer, offset, numPoints, 20);
+
+  return { ...grid, bounds: computeGridBounds(grid) };
+}
+
+function parseGridTemplate30(buffer, offset, numPoints) {
+  const grid = parseProjectedGrid(buffer, offset, numPoints, 30);
+
+  const latin1 = readInt(buffer, offset + 51, 4) / 1e6;
+
+  const latin2 = readInt(buffer, offset + 55, 4) / 1e6;
+
+  const southPoleLat = readInt(buffer, offset + 59, 4) / 1e6;
+
+  const southPoleLon = normalizeLongitude(
+    readInt(buffer, offset + 63, 4) / 1e6
+  );
+
+  const lambert = { ...grid, latin1, latin2, southPoleLat, southPoleLon };
+
+  return { ...lambert, bounds: computeGridBounds(lambert) };
+}
+
+function parseSection4(buffer, offset, discipline, referenceTime) {
+  const length = readUint(buffer, offset, 4);
+  const sectionNum = buffer[offset + 4];
+
+  if (sectionNum !== 4) {
+    throw new Error(`Expected section 4, got section ${sectionNum}`);
+  }
+
+  const numCoordinates = readUint(buffer, offset + 5, 2);
+
+  const templateNum = readUint(buffer, offset + 7, 2);
+
+  const parameterCategory = buffer[offset + 9];
+
+  const parameterNumber = buffer[offset + 10];
+
+  const parameter = lookupParameter(
+    discipline,
+    parameterCategory,
+    parameterNumber
+  );
+
+  let productInfo = {
+    numCoordinates,
+    templateNum,
+    parameterCategory,
+    parameterNumber,
+    name:
+      parameter?.name ||
+      `Unknown (${discipline}-${parameterCategory}-${parameterNumber})`,
+    unit: parameter?.unit || null,
+    missingValues: lookupMissingValues(
+      discipline,
+      parameterCategory,
+      parameterNumber
+    ),
+  };
+
+  // Templates 4.0 to 4.15 share the layout of 4.0 up to the second fixed
+  // surface; the statistical templates append their time ranges after it
+  if (templateNum <= 15) {
+    productInfo = {
+      ...productInfo,
+      ...parseProductTemplate0(buffer, offset + 9, referenceTime),
+    };
+  }
+
+  if (templateNum === 8) {
+    productInfo = {
+      ...productInfo,
+      ...parseProductTemplate8(buffer, offset + 9),
+    };
+    productInfo.validTime = productInfo.endTime;
+  }
+
+  return { length, ...productInfo };
+}
+
+function parseProductTemplate0(buffer, offset, referenceTime) {
+  const generatingProcessType = buffer[offset + 2];
+
+  const timeUnit = buffer[offset + 8];
+
+  const forecastTime = readInt(buffer, offset + 9, 4);
+
+  const unit = lookupTimeUnit(timeUnit);
+
+  return {
+    generatingProcess: {
+      type: generatingProcessType,
+      name: lookupGeneratingProcess(generatingProcessType),
+      background: buffer[offset + 3],
+      identifier: buffer[offset + 4],
     },
+    forecastTime: {
+      value: forecastTime,
+      unit: unit?.name || `code ${timeUnit}`,
+    },
+    validTime: unit
+      ? new Date(referenceTime.getTime() + forecastTime * unit.seconds * 1000)
+      : referenceTime,
+    level: parseFixedSurface(buffer, offset + 13),
+    secondLevel: parseFixedSurface(buffer, offset + 19),
+  };
+}
+
+function parseProductTemplate8(buffer, offset) {
+  const year = readUint(buffer, offset + 25, 2);
+  const month = buffer[offset + 27];
+  const day = buffer[offset + 28];
+  const hour = buffer[offset + 29];
+  const minute = buffer[offset + 30];
+  const second = buffer[offset + 31];
+
+  const endTime = new Date(
+    Date.UTC(year, month - 1, day, hour, minute, second)
+  );
+
+  const numTimeRanges = buffer[offset + 32];
+
+  const missingCount = readUint(buffer, offset + 33, 4);
+
+  const timeRanges = [];
+  for (let i = 0; i < numTimeRanges; i++) {
+    const rangeOffset = offset + 37 + i * 12;
+    const process = buffer[rangeOffset];
+    const rangeUnit = lookupTimeUnit(buffer[rangeOffset + 2]);
+    const incrementUnit = lookupTimeUnit(buffer[rangeOffset + 7]);
+
+    timeRanges.push({
+      process,
+      processName: lookupStatisticalProcess(process),
+      incrementType: buffer[rangeOffset + 1],
+      length: readUint(buffer, rangeOffset + 3, 4),
+      lengthUnit: rangeUnit?.name || `code ${buffer[rangeOffset + 2]}`,
+      increment: readUint(buffer, rangeOffset + 8, 4),
+      incrementUnit: incrementUnit?.name || `code ${buffer[rangeOffset + 7]}`,
+    });
+  }
+
+  return { endTime, missingCount, timeRanges };
+}
+
+function parseFixedSurface(buffer, offset) {
+  const type = buffer[offset];
+
+  const scaleFactor = readInt(buffer, offset + 1, 1);
+
+  const scaledValue = readInt(buffer, offset + 2, 4);
+
+  if (type === 255) {
+    return null;
+  }
+
+  const missing = buffer[offset + 1] === 255 && scaledValue === -0x7fffffff;
+
+  const surface = lookupSurfaceType(type);
+
+  return {
+    type,
+    name: surface?.name || `Surface type ${type}`,
+    unit: surface?.unit || null,
+    value: missing ? null : scaledValue / Math.pow(10, scaleFactor),
   };
 }
 
@@ -192,6 +475,38 @@ function parseSection5(buffer, offset) {
       decimalScaleFactor: readInt(buffer, offset + 17, 2),
       bitsPerValue: buffer[offset + 19],
     };
+  } else if (templateNum === 2 || templateNum === 3) {
+    const typeOfOriginalValues = buffer[offset + 20];
+    // Substitutes are in the units of the original values
+    const readSubstitute = (at) =>
+      typeOfOriginalValues === 0
+        ? readFloat32(buffer, at)
+        : readInt(buffer, at, 4);
+
+    packingInfo = {
+      ...packingInfo,
+      referenceValue: readFloat32(buffer, offset + 11),
+      binaryScaleFactor: readInt(buffer, offset + 15, 2),
+      decimalScaleFactor: readInt(buffer, offset + 17, 2),
+      bitsPerValue: buffer[offset + 19],
+      typeOfOriginalValues,
+      groupSplittingMethod: buffer[offset + 21],
+      missingValueManagement: buffer[offset + 22],
+      primaryMissingValue: readSubstitute(offset + 23),
+      secondaryMissingValue: readSubstitute(offset + 27),
+      numberOfGroups: readUint(buffer, offset + 31, 4),
+      groupWidthReference: buffer[offset + 35],
+      groupWidthBits: buffer[offset + 36],
+      groupLengthReference: readUint(buffer, offset + 37, 4),
+      groupLengthIncrement: buffer[offset + 41],
+      lastGroupLength: readUint(buffer, offset + 42, 4),
+      groupLengthBits: buffer[offset + 46],
+    };
+
+    if (templateNum === 3) {
+      packingInfo.spatialDifferencingOrder = buffer[offset + 47];
+      packingInfo.extraDescriptorOctets = buffer[offset + 48];
+    }
   } else if (templateNum === 40) {
     packingInfo = {
       ...packingInfo,
@@ -222,7 +537,29 @@ function parseSection5(buffer, offset) {
   return { length, ...packingInfo };
 }
 
-async function parseSection7(buffer, offset, section5, gridInfo) {
+function parseSection6(buffer, offset) {
+  const length = readUint(buffer, offset, 4);
+  const sectionNum = buffer[offset + 4];
+
+  if (sectionNum !== 6) {
+    throw new Error(`Expected section 6, got section ${sectionNum}`);
+  }
+
+  const indicator = buffer[offset + 5];
+
+  if (indicator !== 0 && indicator !== 254 && indicator !== 255) {
+    throw new Error(`Unsupported predefined bitmap: ${indicator}`);
+  }
+
+  return {
+    length,
+    indicator,
+    bitmap:
+      indicator === 0 ? buffer.subarray(offset + 6, offset + length) : null,
+  };
+}
+
+async function parseSection7(buffer, offset, section5, gridInfo, bitmap) {
   const length = readUint(buffer, offset, 4);
   const sectionNum = buffer[offset + 4];
 
@@ -237,32 +574,73 @@ async function parseSection7(buffer, offset, section5, gridInfo) {
   let values;
 
   if (section5.templateNum === 0) {
-    values = unpackSimple(dataBuffer, section5, gridInfo);
+    values = unpackSimple(dataBuffer, section5);
+  } else if (section5.templateNum === 2 || section5.templateNum === 3) {
+    values = unpackComplex(dataBuffer, section5);
   } else if (section5.templateNum === 40) {
-    console.warn("JPEG2000 packing detected - using simplified decoding");
-    values = unpackJpeg2000Fallback(dataBuffer, section5, gridInfo);
+    logProgress("JPEG2000 packing detected - decoding codestream");
+    values = unpackJpeg2000(dataBuffer, section5);
   } else if (section5.templateNum === 41) {
-    console.log("PNG packing detected - decoding with sharp");
-    values = await unpackPng(dataBuffer, section5, gridInfo);
+    logProgress("PNG packing detected - decoding image");
+    values = unpackPng(dataBuffer, section5);
   } else if (section5.templateNum === 200) {
-    values = unpackRunLength(dataBuffer, section5, gridInfo);
+    values = unpackRunLength(dataBuffer, section5);
   } else {
     throw new Error(
       `Unsupported data representation template: ${section5.templateNum}`
     );
   }
 
+  if (bitmap) {
+    values = applyBitmap(values, bitmap, gridInfo.numPoints);
+  }
+
   return { length, values };
 }
 
-function unpackSimple(dataBuffer, section5, gridInfo) {
+/**
+ * Spread values packed only for the points present in a Section 6 bitmap
+ * back over the full grid, marking absent points as missing
+ */
+function applyBitmap(packedValues, bitmap, numPoints) {
+  if (bitmap.length * 8 < numPoints) {
+    throw new Error(
+      `Bitmap covers ${bitmap.length * 8} points, grid has ${numPoints}`
+    );
+  }
+
+  const values = new Float32Array(numPoints);
+  let packedIndex = 0;
+
+  for (let i = 0; i < numPoints; i++) {
+    if (bitmap[i >> 3] & (0x80 >> (i & 7))) {
+      values[i] =
+        packedIndex < packedValues.length
+          ? packedValues[packedIndex]
+          : MISSING_VALUE;
+      packedIndex++;
+    } else {
+      values[i] = MISSING_VALUE;
+    }
+  }
+
+  if (packedIndex !== packedValues.length) {
+    throw new Error(
+      `Bitmap marks ${packedIndex} points present, but ${packedValues.length} values are packed`
+    );
+  }
+
+  return values;
+}
+
+function unpackSimple(dataBuffer, section5) {
   const {
     referenceValue,
     binaryScaleFactor,
     decimalScaleFactor,
     bitsPerValue,
   } = section5;
-  const numPoints = gridInfo.numPoints;
+  const numPoints = section5.numDataPoints;
 
   const values = new Float32Array(numPoints);
 
@@ -274,68 +652,241 @@ function unpackSimple(dataBuffer, section5, gridInfo) {
     return values;
   }
 
-  let bitOffset = 0;
-  for (let i = 0; i < numPoints; i++) {
-    const byteOffset = Math.floor(bitOffset / 8);
-    const bitPosition = bitOffset % 8;
-
-    let packedValue = 0;
-    let bitsRemaining = bitsPerValue;
-    let currentByte = byteOffset;
-    let currentBitPos = bitPosition;
-
-    while (bitsRemaining > 0) {
-      const bitsToRead = Math.min(bitsRemaining, 8 - currentBitPos);
-      const mask = (1 << bitsToRead) - 1;
-      const shift = 8 - currentBitPos - bitsToRead;
-
-      if (currentByte < dataBuffer.length) {
-        const bits = (dataBuffer[currentByte] >> shift) & mask;
-        packedValue = (packedValue << bitsToRead) | bits;
+  // value = (R + packed * 2^E) * 10^-D, folded into one multiply-add
+  const offset = referenceValue * decimalFactor;
+  const scale = binaryFactor * decimalFactor;
+
+  // Byte-aligned widths are read straight from the buffer; values past the
+  // end of a short payload decode as packed zero, like the bit reader does
+  if (bitsPerValue === 8 || bitsPerValue === 16 || bitsPerValue === 24) {
+    const bytes = bitsPerValue / 8;
+    const available = Math.min(
+      numPoints,
+      Math.floor(dataBuffer.length / bytes)
+    );
+
+    if (bytes === 1) {
+      for (let i = 0; i < available; i++) {
+        values[i] = offset + dataBuffer[i] * scale;
+      }
+    } else if (bytes === 2) {
+      for (let i = 0, p = 0; i < available; i++, p += 2) {
+        values[i] = offset + ((dataBuffer[p] << 8) | dataBuffer[p + 1]) * scale;
+      }
+    } else {
+      for (let i = 0, p = 0; i < available; i++, p += 3) {
+        values[i] =
+          offset +
+          ((dataBuffer[p] << 16) |
+            (dataBuffer[p + 1] << 8) |
+            dataBuffer[p + 2]) *
+            scale;
       }
+    }
+
+    values.fill(offset, available);
+    return values;
+  }
+
+  const reader = createBitReader(dataBuffer);
+  for (let i = 0; i < numPoints; i++) {
+    values[i] = offset + reader.read(bitsPerValue) * scale;
+  }
 
-      bitsRemaining -= bitsToRead;
-      currentBitPos += bitsToRead;
+  return values;
+}
+
+/**
+ * Unpack complex packing (Template 2) and complex packing with spatial
+ * differencing (Template 3). The data section holds, in order: the
+ * spatial differencing descriptors (Template 3 only), group reference
+ * values, group widths and group lengths (each padded to an octet), then
+ * every group's packed values back to back.
+ */
+function unpackComplex(dataBuffer, section5) {
+  const {
+    referenceValue,
+    binaryScaleFactor,
+    decimalScaleFactor,
+    bitsPerValue,
+    missingValueManagement,
+    numberOfGroups,
+    groupWidthReference,
+    groupWidthBits,
+    groupLengthReference,
+    groupLengthIncrement,
+    lastGroupLength,
+    groupLengthBits,
+    spatialDifferencingOrder = 0,
+    extraDescriptorOctets = 0,
+  } = section5;
+  const numPoints = section5.numDataPoints;
+
+  const values = new Float32Array(numPoints);
+  const binaryFactor = Math.pow(2, binaryScaleFactor);
+  const decimalFactor = Math.pow(10, -decimalScaleFactor);
+
+  if (numberOfGroups === 0) {
+    values.fill(referenceValue * decimalFactor);
+    return values;
+  }
+
+  if (missingValueManagement > 2) {
+    throw new Error(
+      `Unsupported missing value management: ${missingValueManagement}`
+    );
+  }
 
-      if (currentBitPos >= 8) {
-        currentBitPos = 0;
-        currentByte++;
+  if (spatialDifferencingOrder > 2) {
+    throw new Error(
+      `Unsupported spatial differencing order: ${spatialDifferencingOrder}`
+    );
+  }
+
+  const reader = createBitReader(dataBuffer);
+
+  const firstValues = [];
+  let minimumDifference = 0;
+  if (spatialDifferencingOrder > 0) {
+    const descriptorBits = extraDescriptorOctets * 8;
+    for (let i = 0; i < spatialDifferencingOrder; i++) {
+      firstValues.push(reader.readSignMagnitude(descriptorBits));
+    }
+    minimumDifference = reader.readSignMagnitude(descriptorBits);
+  }
+
+  const groupReferences = new Float64Array(numberOfGroups);
+  for (let g = 0; g < numberOfGroups; g++) {
+    groupReferences[g] = reader.read(bitsPerValue);
+  }
+  reader.align();
+
+  const groupWidths = new Uint8Array(numberOfGroups);
+  for (let g = 0; g < numberOfGroups; g++) {
+    groupWidths[g] = groupWidthReference + reader.read(groupWidthBits);
+  }
+  reader.align();
+
+  const groupLengths = new Uint32Array(numberOfGroups);
+  let totalLength = 0;
+  for (let g = 0; g < numberOfGroups; g++) {
+    groupLengths[g] =
+      g === numberOfGroups - 1
+        ? lastGroupLength
+        : groupLengthReference +
+          reader.read(groupLengthBits) * groupLengthIncrement;
+    totalLength += groupLengths[g];
+  }
+  reader.align();
+
+  if (totalLength !== numPoints) {
+    throw new Error(
+      `Complex packing groups hold ${totalLength} values, expected ${numPoints}`
+    );
+  }
+
+  // Integer values before scaling; NaN marks primary and secondary missing
+  const scaled = new Float64Array(numPoints);
+  const referenceMissing = Math.pow(2, bitsPerValue) - 1;
+  let index = 0;
+
+  for (let g = 0; g < numberOfGroups; g++) {
+    const width = groupWidths[g];
+    const length = groupLengths[g];
+    const reference = groupReferences[g];
+
+    if (width === 0) {
+      const missing =
+        (missingValueManagement >= 1 && reference === referenceMissing) ||
+        (missingValueManagement === 2 && reference === referenceMissing - 1);
+      scaled.fill(missing ? NaN : reference, index, index + length);
+      index += length;
+      continue;
+    }
+
+    const valueMissing = Math.pow(2, width) - 1;
+    for (let k = 0; k < length; k++, index++) {
+      const packed = reader.read(width);
+      const missing =
+        (missingValueManagement >= 1 && packed === valueMissing) ||
+        (missingValueManagement === 2 && packed === valueMissing - 1);
+      scaled[index] = missing ? NaN : reference + packed;
+    }
+  }
+
+  // Undo spatial differencing over the non-missing values only
+  if (spatialDifferencingOrder > 0) {
+    let count = 0;
+    let previous = 0;
+    let beforePrevious = 0;
+
+    for (let i = 0; i < numPoints; i++) {
+      if (Number.isNaN(scaled[i])) continue;
+
+      if (count < spatialDifferencingOrder) {
+        scaled[i] = firstValues[count];
+      } else if (spatialDifferencingOrder === 1) {
+        scaled[i] += minimumDifference + previous;
+      } else {
+        scaled[i] += minimumDifference + 2 * previous - beforePrevious;
       }
+
+      beforePrevious = previous;
+      previous = scaled[i];
+      count++;
     }
+  }
 
-    values[i] = (referenceValue + packedValue * binaryFactor) * decimalFactor;
-    bitOffset += bitsPerValue;
+  for (let i = 0; i < numPoints; i++) {
+    values[i] = Number.isNaN(scaled[i])
+      ? MISSING_VALUE
+      : (referenceValue + scaled[i] * binaryFactor) * decimalFactor;
   }
 
   return values;
 }
 
-function unpackJpeg2000Fallback(dataBuffer, section5, gridInfo) {
-  console.warn(
-    "JPEG2000 decoding not fully implemented - using raw byte approximation"
-  );
-
+/**
+ * Unpack JPEG2000 packed data (Template 40)
+ * The data section contains a J2K codestream whose single component holds
+ * the packed integers
+ */
+function unpackJpeg2000(dataBuffer, section5) {
   const { referenceValue, binaryScaleFactor, decimalScaleFactor } = section5;
-  const numPoints = gridInfo.numPoints;
+  const numPoints = section5.numDataPoints;
 
   const values = new Float32Array(numPoints);
   const binaryFactor = Math.pow(2, binaryScaleFactor);
   const decimalFactor = Math.pow(10, -decimalScaleFactor);
 
+  // A constant field is sent with no codestream at all
+  if (section5.bitsPerValue === 0 || dataBuffer.length === 0) {
+    values.fill(referenceValue * decimalFactor);
+    return values;
+  }
+
+  const image = decodeJpeg2000(dataBuffer);
+  const packed = image.components[0].data;
+
+  logProgress(
+    `JPEG2000 image: ${image.width}x${image.height}, ${image.components[0].precision} bits`
+  );
+
+  if (packed.length < numPoints) {
+    throw new Error(
+      `JPEG2000 image has ${packed.length} values, expected ${numPoints}`
+    );
+  }
+
   for (let i = 0; i < numPoints; i++) {
-    if (i < dataBuffer.length) {
-      values[i] =
-        (referenceValue + dataBuffer[i] * binaryFactor) * decimalFactor;
-    } else {
-      values[i] = -999;
-    }
+    values[i] = (referenceValue + packed[i] * binaryFactor) * decimalFactor;
   }
 
   return values;
 }
 
-function unpackRunLength(dataBuffer, section5, gridInfo) {
-  const numPoints = gridInfo.numPoints;
+function unpackRunLength(dataBuffer, section5) {
+  const numPoints = section5.numDataPoints;
   const values = new Float32Array(numPoints);
   values.fill(-999);
 
@@ -360,194 +911,463 @@ function unpackRunLength(dataBuffer, section5, gridInfo) {
 
 /**
  * Unpack PNG packed data (Template 41)
- * The data section contains a PNG image with packed values
+ * The data section contains a PNG image whose pixels, read at the image's
+ * own bit depth (1-16 bit greyscale, 24-bit RGB or 32-bit RGBA), are the
+ * packed integers in scan order
  */
-async function unpackPng(dataBuffer, section5, gridInfo) {
-  const {
-    referenceValue,
-    binaryScaleFactor,
-    decimalScaleFactor,
-    bitsPerValue,
-  } = section5;
-  const numPoints = gridInfo.numPoints;
+function unpackPng(dataBuffer, section5) {
+  const { referenceValue, binaryScaleFactor, decimalScaleFactor } = section5;
+  const numPoints = section5.numDataPoints;
 
+  const values = new Float32Array(numPoints);
   const binaryFactor = Math.pow(2, binaryScaleFactor);
   const decimalFactor = Math.pow(10, -decimalScaleFactor);
 
+  // A constant field is sent with no image at all
+  if (section5.bitsPerValue === 0 || dataBuffer.length === 0) {
+    values.fill(referenceValue * decimalFactor);
+    return values;
+  }
+
+  let image;
   try {
-    // Decode the PNG image using sharp
-    const image = sharp(dataBuffer);
-    const metadata = await image.metadata();
+    image = decodePng(dataBuffer);
+  } catch (error) {
+    throw new Error(`Failed to decode template 5.41 PNG: ${error.message}`);
+  }
 
-    console.log(
-      `PNG image: ${metadata.width}x${metadata.height}, channels: ${metadata.channels}`
-    );
+  const { width, height, bitsPerPixel, stride, data } = image;
 
-    const { data, info } = await image
-      .raw()
-      .toBuffer({ resolveWithObject: true });
+  logProgress(
+    `PNG image: ${width}x${height}, ${bitsPerPixel} bits per pixel (color type ${image.colorType})`
+  );
 
-    const values = new Float32Array(numPoints);
-    const channels = info.channels;
+  if (width * height < numPoints) {
+    throw new Error(
+      `PNG image has ${width * height} pixels, expected ${numPoints}`
+    );
+  }
 
-    for (let i = 0; i < numPoints && i < data.length / channels; i++) {
-      let packedValue;
+  const scale = binaryFactor * decimalFactor;
+  const offset = referenceValue * decimalFactor;
+  const bytesPerPixel = bitsPerPixel >> 3;
 
-      if (bitsPerValue <= 8) {
-        packedValue = data[i * channels];
-      } else if (bitsPerValue <= 16 && channels >= 2) {
-        packedValue = (data[i * channels] << 8) | data[i * channels + 1];
-      } else {
-        packedValue = data[i * channels];
+  for (let i = 0; i < numPoints; i++) {
+    const x = i % width;
+    const rowStart = ((i - x) / width) * stride;
+    let packed = 0;
+
+    if (bitsPerPixel >= 8) {
+      const start = rowStart + x * bytesPerPixel;
+      for (let b = 0; b < bytesPerPixel; b++) {
+        packed = packed * 256 + data[start + b];
       }
+    } else {
+      const bit = x * bitsPerPixel;
+      const byte = data[rowStart + (bit >> 3)];
+      packed =
+        (byte >> (8 - (bit & 7) - bitsPerPixel)) & ((1 << bitsPerPixel) - 1);
+    }
 
-      const rawValue =
-        (referenceValue + packedValue * binaryFactor) * decimalFactor;
+    values[i] = offset + packed * scale;
+  }
 
-      if (rawValue < -30 || packedValue === 0) {
-        values[i] = -999;
-      } else {
-        values[i] = rawValue;
+  return values;
+}
+
+/**
+ * Replace the sentinel values a product declares for "no data" with the
+ * shared missing marker, in place
+ */
+function applyMissingValues(values, missingValues) {
+  if (!missingValues || missingValues.length === 0) {
+    return;
+  }
+
+  for (let i = 0; i < values.length; i++) {
+    for (const sentinel of missingValues) {
+      // Scaled values carry float32 rounding, so compare with a tolerance
+      if (Math.abs(values[i] - sentinel) < 1e-3) {
+        values[i] = MISSING_VALUE;
+        break;
       }
     }
+  }
+}
 
-    for (let i = data.length / channels; i < numPoints; i++) {
-      values[i] = -999;
+function summarizeValues(values) {
+  let min = Infinity,
+    max = -Infinity,
+    validCount = 0;
+  for (const v of values) {
+    if (v > -900) {
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+      validCount++;
     }
-
-    return values;
-  } catch (error) {
-    console.error("Error decoding PNG:", error);
-    return unpackPngFallback(dataBuffer, section5, gridInfo);
   }
+  logProgress(
+    `Values: min=${min.toFixed(2)}, max=${max.toFixed(
+      2
+    )}, valid=${validCount}/${values.length}`
+  );
 }
 
-function unpackPngFallback(dataBuffer, section5, gridInfo) {
-  console.warn("PNG decoding failed - using fallback");
-
-  const { referenceValue, binaryScaleFactor, decimalScaleFactor } = section5;
-  const numPoints = gridInfo.numPoints;
+/**
+ * Whether a field ({ messageIndex, fieldIndex, discipline, product }, as
+ * listGrib2Fields describes it) matches `criteria` (see parseGrib2Messages).
+ */
+export function matchesGrib2Field(field, criteria) {
+  const { discipline, product } = field;
+  const { level } = product;
+
+  if (
+    criteria.messageIndex !== undefined &&
+    criteria.messageIndex !== field.messageIndex
+  ) {
+    return false;
+  }
+  if (
+    criteria.fieldIndex !== undefined &&
+    criteria.fieldIndex !== field.fieldIndex
+  ) {
+    return false;
+  }
+  if (criteria.discipline !== undefined && criteria.discipline !== discipline) {
+    return false;
+  }
+  if (criteria.name !== undefined && criteria.name !== product.name) {
+    return false;
+  }
+  if (
+    criteria.parameterCategory !== undefined &&
+    criteria.parameterCategory !== product.parameterCategory
+  ) {
+    return false;
+  }
+  if (
+    criteria.parameterNumber !== undefined &&
+    criteria.parameterNumber !== product.parameterNumber
+  ) {
+    return false;
+  }
+  if (
+    criteria.levelType !== undefined &&
+    (!level || criteria.levelType !== level.type)
+  ) {
+    return false;
+  }
+  if (
+    criteria.levelValue !== undefined &&
+    (!level || criteria.levelValue !== level.value)
+  ) {
+    return false;
+  }
+  return true;
+}
 
-  const values = new Float32Array(numPoints);
-  const binaryFactor = Math.pow(2, binaryScaleFactor);
-  const decimalFactor = Math.pow(10, -decimalScaleFactor);
+async function parseMessage(
+  buffer,
+  messageOffset,
+  messageIndex,
+  criteria,
+  limit
+) {
+  const section0 = parseSection0(buffer, messageOffset);
+  logProgress(
+    `GRIB2 message ${messageIndex}: edition ${section0.edition}, total length ${section0.totalLength} bytes`
+  );
 
-  const headerSize = 8;
-  for (let i = 0; i < numPoints; i++) {
-    const byteIndex = headerSize + i;
-    if (byteIndex < dataBuffer.length) {
-      const packedValue = dataBuffer[byteIndex];
-      values[i] = (referenceValue + packedValue * binaryFactor) * decimalFactor;
-    } else {
-      values[i] = -999;
-    }
+  const messageEnd = messageOffset + section0.totalLength;
+  if (messageEnd > buffer.length) {
+    throw new Error(`GRIB2 message ${messageIndex} is truncated`);
   }
 
-  return values;
-}
+  let offset = messageOffset + 16;
 
-function findSection(buffer, startOffset, sectionNum) {
-  let offset = startOffset;
+  const section1 = parseSection1(buffer, offset);
+  logProgress(`Data timestamp: ${section1.timestamp.toISOString()}`);
+  offset += section1.length;
 
-  while (offset < buffer.length - 4) {
+  // Sections 2-7 may repeat within a message; each Section 7 closes a field
+  // and inherits the most recent grid, product and packing definitions
+  let section3 = null;
+  let section4 = null;
+  let section5 = null;
+  let section6 = null;
+  let previousBitmap = null;
+  const records = [];
+  let fieldCount = 0;
+
+  while (offset < messageEnd - 4 && records.length < limit) {
     const length = readUint(buffer, offset, 4);
-    const section = buffer[offset + 4];
+    const sectionNum = buffer[offset + 4];
 
-    if (section === sectionNum) {
-      return offset;
+    // A bare 5-octet Section 7 is legal: constant fields carry no data
+    if (length < 5) {
+      throw new Error(
+        `Invalid length ${length} for section ${sectionNum} in GRIB2 message ${messageIndex}`
+      );
     }
 
-    if (length === 0 || section === 8 || section > 8) {
-      break;
+    if (sectionNum === 3) {
+      section3 = parseSection3(buffer, offset);
+      logProgress(
+        `Grid: ${section3.width}x${section3.height} (${section3.numPoints} points)`
+      );
+      logProgress(`Bounds: ${JSON.stringify(section3.bounds)}`);
+    } else if (sectionNum === 4) {
+      section4 = parseSection4(
+        buffer,
+        offset,
+        section0.discipline,
+        section1.timestamp
+      );
+      logProgress(
+        `Product: ${section4.name}${section4.unit ? `, ${section4.unit}` : ""}`
+      );
+    } else if (sectionNum === 5) {
+      section5 = parseSection5(buffer, offset);
+      logProgress(
+        `Data packing: template ${section5.templateNum}, ${
+          section5.bitsPerValue || "N/A"
+        } bits per value`
+      );
+    } else if (sectionNum === 6) {
+      section6 = parseSection6(buffer, offset);
+      if (section6.indicator === 0) {
+        previousBitmap = section6.bitmap;
+      } else if (section6.indicator === 254) {
+        if (!previousBitmap) {
+          throw new Error(
+            "Section 6 reuses a bitmap, but none was defined earlier in the message"
+          );
+        }
+        section6 = { ...section6, bitmap: previousBitmap };
+      }
+    } else if (sectionNum === 7) {
+      if (!section3) {
+        throw new Error("Could not find Section 3 (Grid Definition)");
+      }
+      if (!section4) {
+        throw new Error("Could not find Section 4 (Product Definition)");
+      }
+      if (!section5) {
+        throw new Error("Could not find Section 5 (Data Representation)");
+      }
+      if (!section6) {
+        throw new Error("Could not find Section 6 (Bit-Map)");
+      }
+
+      const fieldIndex = fieldCount++;
+
+      if (
+        matchesGrib2Field(
+          {
+            messageIndex,
+            fieldIndex,
+            discipline: section0.discipline,
+            product: section4,
+          },
+          criteria
+        )
+      ) {
+        const section7 = await parseSection7(
+          buffer,
+          offset,
+          section5,
+          section3,
+          section6.bitmap
+        );
+        applyMissingValues(section7.values, section4.missingValues);
+        summarizeValues(section7.values);
+
+        const { length: _grid, ...grid } = section3;
+        const { length: _product, ...product } = section4;
+        const { length: _packing, ...packing } = section5;
+
+        records.push({
+          messageIndex,
+          fieldIndex,
+          discipline: section0.discipline,
+          centerId: section1.centerId,
+          subCenterId: section1.subCenterId,
+          timestamp: section1.timestamp,
+          width: section3.width,
+          height: section3.height,
+          bounds: section3.bounds,
+          scanningMode: section3.scanningMode,
+          grid,
+          product,
+          packing,
+          values: section7.values,
+        });
+      }
+    } else if (sectionNum !== 2) {
+      throw new Error(
+        `Unexpected section ${sectionNum} in GRIB2 message ${messageIndex}`
+      );
     }
 
     offset += length;
   }
 
-  return -1;
+  if (
+    records.length < limit &&
+    buffer.slice(messageEnd - 4, messageEnd).toString("ascii") !== "7777"
+  ) {
+    throw new Error(`GRIB2 message ${messageIndex} is missing its end section`);
+  }
+
+  return { records, messageEnd };
 }
 
-export async function parseGrib2(buffer) {
-  console.log("Parsing GRIB2 file...");
+async function collectRecords(buffer, criteria, limit) {
+  logProgress("Parsing GRIB2 file...");
 
-  const section0 = parseSection0(buffer);
-  console.log(
-    `GRIB2 file: edition ${section0.edition}, total length ${section0.totalLength} bytes`
+  const records = [];
+  let messageIndex = 0;
+  let offset = buffer.indexOf("GRIB", 0, "ascii");
+
+  if (offset === -1) {
+    throw new Error("Invalid GRIB2 file: missing GRIB magic number");
+  }
+
+  while (offset !== -1 && records.length < limit) {
+    const message = await parseMessage(
+      buffer,
+      offset,
+      messageIndex,
+      criteria,
+      limit - records.length
+    );
+    records.push(...message.records);
+    messageIndex++;
+    offset = buffer.indexOf("GRIB", message.messageEnd, "ascii");
+  }
+
+  logProgress(
+    `Parsed ${messageIndex} message(s), ${records.length} matching field(s)`
   );
 
-  let offset = 16;
+  return records;
+}
 
-  const section1 = parseSection1(buffer, offset);
-  console.log(`Data timestamp: ${section1.timestamp.toISOString()}`);
-  offset += section1.length;
+/**
+ * Describe every message in a GRIB2 buffer and the sections it contains
+ * (offset, length and template or bitmap indicator) without unpacking any
+ * data.
+ */
+export function listGrib2Sections(buffer) {
+  const messages = [];
+  let offset = buffer.indexOf("GRIB", 0, "ascii");
 
-  if (buffer[offset + 4] === 2) {
-    const length = readUint(buffer, offset, 4);
-    offset += length;
+  if (offset === -1) {
+    throw new Error("Invalid GRIB2 file: missing GRIB magic number");
   }
 
-  const section3Offset = findSection(buffer, offset, 3);
-  if (section3Offset === -1) {
-    throw new Error("Could not find Section 3 (Grid Definition)");
-  }
-  const section3 = parseSection3(buffer, section3Offset);
-  console.log(
-    `Grid: ${section3.width}x${section3.height} (${section3.numPoints} points)`
-  );
-  console.log(`Bounds: ${JSON.stringify(section3.bounds)}`);
+  while (offset !== -1) {
+    const section0 = parseSection0(buffer, offset);
+    const messageEnd = offset + section0.totalLength;
+    const sections = [{ number: 0, offset, length: 16 }];
+    let position = offset + 16;
 
-  const section5Offset = findSection(
-    buffer,
-    section3Offset + section3.length,
-    5
-  );
-  if (section5Offset === -1) {
-    throw new Error("Could not find Section 5 (Data Representation)");
-  }
-  const section5 = parseSection5(buffer, section5Offset);
-  console.log(
-    `Data packing: template ${section5.templateNum}, ${
-      section5.bitsPerValue || "N/A"
-    } bits per value`
-  );
+    while (position < messageEnd - 4) {
+      const length = readUint(buffer, position, 4);
+      const number = buffer[position + 4];
 
-  const section7Offset = findSection(
-    buffer,
-    section5Offset + section5.length,
-    7
-  );
-  if (section7Offset === -1) {
-    throw new Error("Could not find Section 7 (Data)");
-  }
-  const section7 = await parseSection7(
-    buffer,
-    section7Offset,
-    section5,
-    section3
-  );
+      if (length < 5) {
+        throw new Error(
+          `Invalid length ${length} for section ${number} at offset ${position}`
+        );
+      }
 
-  let min = Infinity,
-    max = -Infinity,
-    validCount = 0;
-  for (const v of section7.values) {
-    if (v > -900) {
-      min = Math.min(min, v);
-      max = Math.max(max, v);
-      validCount++;
+      const section = { number, offset: position, length };
+      if (number === 3) {
+        section.templateNum = readUint(buffer, position + 12, 2);
+      } else if (number === 4) {
+        section.templateNum = readUint(buffer, position + 7, 2);
+      } else if (number === 5) {
+        section.templateNum = readUint(buffer, position + 9, 2);
+      } else if (number === 6) {
+        section.bitmapIndicator = buffer[position + 5];
+      }
+
+      sections.push(section);
+      position += length;
     }
+
+    sections.push({ number: 8, offset: messageEnd - 4, length: 4 });
+    messages.push({ offset, ...section0, sections });
+    offset = buffer.indexOf("GRIB", messageEnd, "ascii");
   }
-  console.log(
-    `Values: min=${min.toFixed(2)}, max=${max.toFixed(
-      2
-    )}, valid=${validCount}/${section7.values.length}`
-  );
 
-  return {
-    timestamp: section1.timestamp,
-    width: section3.width,
-    height: section3.height,
-    bounds: section3.bounds,
-    scanningMode: section3.scanningMode,
-    values: section7.values,
-  };
+  return messages;
+}
+
+/**
+ * List every field in a GRIB2 buffer as { messageIndex, fieldIndex,
+ * discipline, product } from its headers alone, without unpacking any data.
+ */
+export function listGrib2Fields(buffer) {
+  const fields = [];
+
+  listGrib2Sections(buffer).forEach((message, messageIndex) => {
+    const { timestamp } = parseSection1(buffer, message.offset + 16);
+    let product = null;
+    let fieldIndex = 0;
+
+    for (const section of message.sections) {
+      if (section.number === 4) {
+        const { length: _length, ...section4 } = parseSection4(
+          buffer,
+          section.offset,
+          message.discipline,
+          timestamp
+        );
+        product = section4;
+      } else if (section.number === 7) {
+        if (!product) {
+          throw new Error("Could not find Section 4 (Product Definition)");
+        }
+        fields.push({
+          messageIndex,
+          fieldIndex: fieldIndex++,
+          discipline: message.discipline,
+          product,
+        });
+      }
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * The first of `fields` (from listGrib2Fields) matching `criteria` (see
+ * parseGrib2Messages), or null if none does.
+ */
+export function findGrib2Field(fields, criteria = {}) {
+  return fields.find((field) => matchesGrib2Field(field, criteria)) || null;
+}
+
+/**
+ * Parse every field of every message in a GRIB2 buffer.
+ * `criteria` narrows the result to fields matching discipline, name,
+ * parameterCategory, parameterNumber, levelType and/or levelValue, or
+ * messageIndex and fieldIndex; fields that do not match are skipped without
+ * being unpacked.
+ */
+export async function parseGrib2Messages(buffer, criteria = {}) {
+  return collectRecords(buffer, criteria, Infinity);
+}
+
+/**
+ * Parse the first field matching `criteria` (see parseGrib2Messages), or
+ * return null if no field matches.
+ */
+export async function parseGrib2(buffer, criteria = {}) {
+  const [record] = await collectRecords(buffer, criteria, 1);
+
+  return record || null;
 }
@@ -0,0 +1,185 @@
+const GRIB_MAGIC = Buffer.from("GRIB", "ascii");
+const SECTION0_LENGTH = 16;
+const END_MARKER = "7777";
+
+function tooLarge(message) {
+  const error = new Error(message);
+  error.code = "PAYLOAD_TOO_LARGE";
+  return error;
+}
+
+/**
+ * Reassemble GRIB2 messages from a byte stream as the bytes arrive. Each
+ * message's Section 0 gives its total length, so its bytes are copied
+ * straight into place; section headers are checked as soon as they are
+ * complete, so a corrupt or truncated payload fails without waiting for
+ * the rest of the download. Bytes between messages are skipped, as the
+ * parser does.
+ *
+ * `maxBytes` caps the total size; a message declaring more than what is
+ * left fails before anything is allocated for it.
+ */
+export function createGrib2Assembler({ maxBytes = Infinity } = {}) {
+  let output = Buffer.alloc(0);
+  let used = 0;
+  let received = 0;
+  let pending = Buffer.alloc(0);
+  let message = null;
+  let messageCount = 0;
+
+  function reserve(length) {
+    if (used + length <= output.length) return;
+
+    // Grow geometrically so files with many messages aren't copied per message
+    const grown = Buffer.alloc(
+      Math.min(maxBytes, Math.max(used + length, output.length * 2))
+    );
+    output.copy(grown, 0, 0, used);
+    output = grown;
+  }
+
+  function startMessage(header) {
+    const edition = header[7];
+    if (edition !== 2) {
+      throw new Error(
+        `Unsupported GRIB edition ${edition} in message ${messageCount}`
+      );
+    }
+
+    const totalLength = Number(header.readBigUInt64BE(8));
+    if (totalLength < SECTION0_LENGTH + END_MARKER.length) {
+      throw new Error(
+        `Invalid length ${totalLength} for GRIB2 message ${messageCount}`
+      );
+    }
+    if (used + totalLength > maxBytes) {
+      throw tooLarge(
+        `GRIB2 message ${messageCount} declares ${totalLength} bytes, over the ${maxBytes} byte limit`
+      );
+    }
+
+    reserve(totalLength);
+    header.copy(output, used);
+    message = {
+      start: used,
+      totalLength,
+      written: SECTION0_LENGTH,
+      nextSection: SECTION0_LENGTH,
+      ended: false,
+    };
+    used += totalLength;
+  }
+
+  // Walk the section headers that have fully arrived
+  function checkSections() {
+    const { start, totalLength } = message;
+
+    while (!message.ended) {
+      const position = start + message.nextSection;
+      const available = message.written - message.nextSection;
+
+      if (
+        available >= 4 &&
+        output.toString("ascii", position, position + 4) === END_MARKER
+      ) {
+        if (message.nextSection + 4 !== totalLength) {
+          throw new Error(
+            `GRIB2 message ${messageCount} ends at byte ${message.nextSection + 4} of ${totalLength}`
+          );
+        }
+        message.ended = true;
+        break;
+      }
+      if (available < 5) break;
+
+      const length = output.readUInt32BE(position);
+      const number = output[position + 4];
+      if (length < 5 || number < 1 || number > 7) {
+        throw new Error(
+          `Invalid section header (length ${length}, number ${number}) in GRIB2 message ${messageCount}`
+        );
+      }
+
+      message.nextSection += length;
+      if (message.nextSection > totalLength - END_MARKER.length) {
+        throw new Error(
+          `Section ${number} runs past the end of GRIB2 message ${messageCount}`
+        );
+      }
+    }
+  }
+
+  function push(chunk) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      throw tooLarge(`GRIB2 data exceeds the ${maxBytes} byte limit`);
+    }
+
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (message) {
+        const count = Math.min(
+          chunk.length - offset,
+          message.totalLength - message.written
+        );
+        chunk.copy(
+          output,
+          message.start + message.written,
+          offset,
+          offset + count
+        );
+        message.written += count;
+        offset += count;
+
+        checkSections();
+        if (message.written === message.totalLength) {
+          if (!message.ended) {
+            throw new Error(
+              `GRIB2 message ${messageCount} is missing its 7777 end marker`
+            );
+          }
+          message = null;
+          messageCount++;
+        }
+        continue;
+      }
+
+      // Collect Section 0, skipping anything before the next GRIB marker
+      const take = Math.min(
+        SECTION0_LENGTH - pending.length,
+        chunk.length - offset
+      );
+      pending = Buffer.concat([pending, chunk.subarray(offset, offset + take)]);
+      offset += take;
+
+      const magic = pending.indexOf(GRIB_MAGIC);
+      if (messageCount === 0 && magic !== 0 && pending.length >= 4) {
+        throw new Error("Invalid GRIB2 payload: missing GRIB magic number");
+      }
+      if (magic === -1) {
+        // Keep a possible partial marker at the end
+        pending = pending.subarray(Math.max(0, pending.length - 3));
+      } else if (magic > 0) {
+        pending = pending.subarray(magic);
+      } else if (pending.length === SECTION0_LENGTH) {
+        startMessage(pending);
+        pending = Buffer.alloc(0);
+      }
+    }
+  }
+
+  // The assembled messages, back to back
+  function finish() {
+    if (message) {
+      throw new Error(
+        `Truncated GRIB2 message ${messageCount}: got ${message.written} of ${message.totalLength} bytes`
+      );
+    }
+    if (messageCount === 0) {
+      throw new Error("Invalid GRIB2 payload: no complete message");
+    }
+    return output.subarray(0, used);
+  }
+
+  return { push, finish };
+}
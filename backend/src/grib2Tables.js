@@ -0,0 +1,214 @@
+// GRIB2 code tables used to label decoded products. Parameters are keyed by
+// "discipline:category:number"; discipline 209 is the MRMS local table.
+const PARAMETERS = {
+  // Discipline 0 - Meteorological products (WMO Code Table 4.2)
+  "0:0:0": { name: "Temperature", unit: "K" },
+  "0:0:1": { name: "VirtualTemperature", unit: "K" },
+  "0:0:2": { name: "PotentialTemperature", unit: "K" },
+  "0:0:4": { name: "MaximumTemperature", unit: "K" },
+  "0:0:5": { name: "MinimumTemperature", unit: "K" },
+  "0:0:6": { name: "DewPointTemperature", unit: "K" },
+  "0:0:7": { name: "DewPointDepression", unit: "K" },
+  "0:1:0": { name: "SpecificHumidity", unit: "kg/kg" },
+  "0:1:1": { name: "RelativeHumidity", unit: "%" },
+  "0:1:3": { name: "PrecipitableWater", unit: "kg/m^2" },
+  "0:1:7": { name: "PrecipitationRate", unit: "kg/m^2/s" },
+  "0:1:8": { name: "TotalPrecipitation", unit: "kg/m^2" },
+  "0:1:11": { name: "SnowDepth", unit: "m" },
+  "0:1:13": { name: "WaterEquivalentOfSnowDepth", unit: "kg/m^2" },
+  "0:2:0": { name: "WindDirection", unit: "degree" },
+  "0:2:1": { name: "WindSpeed", unit: "m/s" },
+  "0:2:2": { name: "UComponentOfWind", unit: "m/s" },
+  "0:2:3": { name: "VComponentOfWind", unit: "m/s" },
+  "0:2:22": { name: "WindGust", unit: "m/s" },
+  "0:3:0": { name: "Pressure", unit: "Pa" },
+  "0:3:1": { name: "PressureReducedToMSL", unit: "Pa" },
+  "0:3:5": { name: "GeopotentialHeight", unit: "gpm" },
+  "0:6:1": { name: "TotalCloudCover", unit: "%" },
+  "0:7:6": { name: "CAPE", unit: "J/kg" },
+  "0:7:7": { name: "CIN", unit: "J/kg" },
+  "0:15:0": { name: "BaseSpectrumWidth", unit: "m/s" },
+  "0:15:1": { name: "BaseReflectivity", unit: "dBZ" },
+  "0:15:2": { name: "BaseRadialVelocity", unit: "m/s" },
+  "0:15:3": { name: "VerticallyIntegratedLiquid", unit: "kg/m^2" },
+  "0:16:3": { name: "EchoTop", unit: "m" },
+  "0:16:4": { name: "Reflectivity", unit: "dBZ" },
+  "0:16:5": { name: "CompositeReflectivity", unit: "dBZ" },
+  // NCEP local entries used by HRRR/RAP/NAM
+  "0:16:195": { name: "Reflectivity", unit: "dBZ" },
+  "0:16:196": { name: "CompositeReflectivity", unit: "dBZ" },
+  "0:19:0": { name: "Visibility", unit: "m" },
+
+  // Discipline 209 - MRMS local table (UserTable_MRMS_v12)
+  "209:2:0": { name: "NLDN_CG_001min_AvgDensity", unit: "flashes/km^2/min" },
+  "209:2:1": { name: "NLDN_CG_005min_AvgDensity", unit: "flashes/km^2/min" },
+  "209:2:2": { name: "NLDN_CG_015min_AvgDensity", unit: "flashes/km^2/min" },
+  "209:2:3": { name: "NLDN_CG_030min_AvgDensity", unit: "flashes/km^2/min" },
+  "209:3:0": { name: "MergedAzShear0to2kmAGL", unit: "1/s" },
+  "209:3:1": { name: "MergedAzShear3to6kmAGL", unit: "1/s" },
+  "209:3:26": { name: "SHI", unit: "index" },
+  "209:3:27": { name: "POSH", unit: "%" },
+  "209:3:28": { name: "MESH", unit: "mm" },
+  "209:3:29": { name: "MESHMax30min", unit: "mm" },
+  "209:3:30": { name: "MESHMax60min", unit: "mm" },
+  "209:3:31": { name: "MESHMax120min", unit: "mm" },
+  "209:3:32": { name: "MESHMax240min", unit: "mm" },
+  "209:3:33": { name: "MESHMax360min", unit: "mm" },
+  "209:3:34": { name: "MESHMax1440min", unit: "mm" },
+  "209:3:40": { name: "VII", unit: "kg/m^2" },
+  "209:3:41": { name: "VIL", unit: "kg/m^2" },
+  "209:3:46": { name: "EchoTop_18", unit: "km" },
+  "209:3:47": { name: "EchoTop_30", unit: "km" },
+  "209:3:48": { name: "EchoTop_50", unit: "km" },
+  "209:3:49": { name: "EchoTop_60", unit: "km" },
+  // -3 marks no radar coverage
+  "209:6:0": {
+    name: "PrecipFlag",
+    unit: "flag",
+    missingValues: [-3, -99, -999],
+  },
+  "209:6:1": { name: "PrecipRate", unit: "mm/hr" },
+  "209:6:2": { name: "RadarOnly_QPE_01H", unit: "mm" },
+  "209:6:3": { name: "RadarOnly_QPE_03H", unit: "mm" },
+  "209:6:4": { name: "RadarOnly_QPE_06H", unit: "mm" },
+  "209:6:5": { name: "RadarOnly_QPE_12H", unit: "mm" },
+  "209:6:6": { name: "RadarOnly_QPE_24H", unit: "mm" },
+  "209:6:7": { name: "RadarOnly_QPE_48H", unit: "mm" },
+  "209:6:8": { name: "RadarOnly_QPE_72H", unit: "mm" },
+  "209:6:30": { name: "MultiSensor_QPE_01H_Pass1", unit: "mm" },
+  "209:6:31": { name: "MultiSensor_QPE_03H_Pass1", unit: "mm" },
+  "209:6:32": { name: "MultiSensor_QPE_06H_Pass1", unit: "mm" },
+  "209:6:33": { name: "MultiSensor_QPE_12H_Pass1", unit: "mm" },
+  "209:6:34": { name: "MultiSensor_QPE_24H_Pass1", unit: "mm" },
+  "209:6:37": { name: "MultiSensor_QPE_01H_Pass2", unit: "mm" },
+  "209:6:38": { name: "MultiSensor_QPE_03H_Pass2", unit: "mm" },
+  "209:6:39": { name: "MultiSensor_QPE_06H_Pass2", unit: "mm" },
+  "209:6:40": { name: "MultiSensor_QPE_12H_Pass2", unit: "mm" },
+  "209:6:41": { name: "MultiSensor_QPE_24H_Pass2", unit: "mm" },
+  "209:7:0": { name: "Model_SurfaceTemp", unit: "C" },
+  "209:7:1": { name: "Model_WetBulbTemp", unit: "C" },
+  "209:7:2": { name: "WarmRainProbability", unit: "%" },
+  "209:7:3": { name: "Model_0degC_Height", unit: "m" },
+  "209:7:4": { name: "BrightBandTopHeight", unit: "m" },
+  "209:7:5": { name: "BrightBandBottomHeight", unit: "m" },
+  "209:8:0": { name: "RadarQualityIndex", unit: "dimensionless" },
+  "209:9:0": { name: "MergedReflectivityQC", unit: "dBZ" },
+  "209:10:0": { name: "MergedReflectivityQCComposite", unit: "dBZ" },
+  "209:10:1": { name: "HeightCompositeReflectivity", unit: "m" },
+  "209:10:2": { name: "LowLevelCompositeReflectivity", unit: "dBZ" },
+  "209:10:3": { name: "HeightLowLevelCompositeReflectivity", unit: "m" },
+  "209:10:4": { name: "LayerCompositeReflectivity_Low", unit: "dBZ" },
+  "209:10:5": { name: "LayerCompositeReflectivity_High", unit: "dBZ" },
+  "209:10:6": { name: "LayerCompositeReflectivity_Super", unit: "dBZ" },
+  "209:10:7": { name: "ReflectivityCompositeHourlyMax", unit: "dBZ" },
+  "209:10:8": { name: "ReflectivityMaxAboveM10C", unit: "dBZ" },
+  "209:10:9": { name: "MergedBaseReflectivityQC", unit: "dBZ" },
+  "209:10:10": { name: "MergedReflectivityComposite", unit: "dBZ" },
+  "209:10:11": { name: "MergedReflectivityQComposite", unit: "dBZ" },
+  "209:10:12": { name: "MergedBaseReflectivity", unit: "dBZ" },
+  "209:10:13": { name: "ReflectivityAtLowestAltitude", unit: "dBZ" },
+  "209:12:0": { name: "SeamlessHSR", unit: "dBZ" },
+  "209:12:1": { name: "SeamlessHSRHeight", unit: "km" },
+};
+
+// Sentinel data values that mean "no data" rather than a measurement. MRMS
+// writes these into the field itself (-999 missing, -99 no coverage)
+// instead of using a bitmap; a parameter entry can override with its own
+// `missingValues`.
+const DISCIPLINE_MISSING_VALUES = {
+  209: [-999, -99],
+};
+
+// Code Table 4.3 - Type of generating process
+const GENERATING_PROCESSES = {
+  0: "Analysis",
+  1: "Initialization",
+  2: "Forecast",
+  3: "Bias corrected forecast",
+  4: "Ensemble forecast",
+  5: "Probability forecast",
+  6: "Forecast error",
+  7: "Analysis error",
+  8: "Observation",
+  9: "Climatological",
+};
+
+// Code Table 4.4 - Indicator of unit of time range, in seconds
+const TIME_UNITS = {
+  0: { name: "minute", seconds: 60 },
+  1: { name: "hour", seconds: 3600 },
+  2: { name: "day", seconds: 86400 },
+  10: { name: "3 hours", seconds: 10800 },
+  11: { name: "6 hours", seconds: 21600 },
+  12: { name: "12 hours", seconds: 43200 },
+  13: { name: "second", seconds: 1 },
+};
+
+// Code Table 4.5 - Fixed surface types
+const SURFACE_TYPES = {
+  1: { name: "Ground or water surface", unit: null },
+  2: { name: "Cloud base level", unit: null },
+  3: { name: "Cloud top level", unit: null },
+  4: { name: "0 degC isotherm", unit: null },
+  7: { name: "Tropopause", unit: null },
+  8: { name: "Nominal top of the atmosphere", unit: null },
+  10: { name: "Entire atmosphere", unit: null },
+  100: { name: "Isobaric surface", unit: "Pa" },
+  101: { name: "Mean sea level", unit: null },
+  102: { name: "Altitude above mean sea level", unit: "m" },
+  103: { name: "Height above ground", unit: "m" },
+  104: { name: "Sigma level", unit: null },
+  105: { name: "Hybrid level", unit: null },
+  106: { name: "Depth below land surface", unit: "m" },
+  108: { name: "Pressure difference from ground", unit: "Pa" },
+  200: { name: "Entire atmosphere (as single layer)", unit: null },
+};
+
+// Code Table 4.10 - Type of statistical processing
+const STATISTICAL_PROCESSES = {
+  0: "Average",
+  1: "Accumulation",
+  2: "Maximum",
+  3: "Minimum",
+  4: "Difference (end minus beginning)",
+  5: "Root mean square",
+  6: "Standard deviation",
+  7: "Covariance",
+  8: "Difference (beginning minus end)",
+  9: "Ratio",
+};
+
+export function lookupParameter(discipline, category, number) {
+  return PARAMETERS[`${discipline}:${category}:${number}`] || null;
+}
+
+export function lookupMissingValues(discipline, category, number) {
+  const parameter = lookupParameter(discipline, category, number);
+  return (
+    parameter?.missingValues || DISCIPLINE_MISSING_VALUES[discipline] || []
+  );
+}
+
+export function lookupGeneratingProcess(type) {
+  return GENERATING_PROCESSES[type] || null;
+}
+
+export function lookupTimeUnit(unit) {
+  return TIME_UNITS[unit] || null;
+}
+
+// Reverse of lookupTimeUnit, for writing Code Table 4.4 entries
+export function lookupTimeUnitCode(name) {
+  const entry = Object.entries(TIME_UNITS).find(
+    ([, unit]) => unit.name === name
+  );
+  return entry ? Number(entry[0]) : null;
+}
+
+export function lookupSurfaceType(type) {
+  return SURFACE_TYPES[type] || null;
+}
+
+export function lookupStatisticalProcess(type) {
+  return STATISTICAL_PROCESSES[type] || null;
+}
@@ -2,9 +2,29 @@ import express from "express";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
-import { fetchLatestRadarData } from "./dataFetcher.js";
-import { parseGrib2 } from "./grib2Parser.js";
-import { renderRadarPng } from "./radarRenderer.js";
+import { DEFAULT_PRODUCT_ID, getProduct, listProducts } from "./products.js";
+import {
+  PALETTE_MODES,
+  getPalette,
+  hasPalette,
+  listPalettes,
+  loadPaletteDirectory,
+  resolvePalette,
+} from "./colorTables.js";
+import { createDataSource } from "./dataSources.js";
+import {
+  createFrameArchive,
+  formatFrameKey,
+  parseFrameTimestamp,
+} from "./frameArchive.js";
+import { createIngester } from "./ingester.js";
+import { clipBounds, locateGridCell } from "./projection.js";
+import { LOOP_FORMATS } from "./radarLoop.js";
+import { EXPORT_FORMATS } from "./rasterExport.js";
+import { createCellTracker, describeCells } from "./stormCells.js";
+import { describeLegend, renderLegend } from "./radarRenderer.js";
+import { createRenderCache } from "./renderCache.js";
+import { createWorkerPool } from "./workerPool.js";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -12,29 +32,374 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const distPath = path.resolve(__dirname, "../../frontend/dist");
 
-app.use(cors());
+// Fetching, decoding and rendering a CONUS frame takes seconds of CPU, so it
+// runs on worker threads to keep the event loop free
+const RADAR_WORKERS = Number(process.env.RADAR_WORKERS) || undefined;
+const radarPool = createWorkerPool(
+  new URL("./radarWorker.js", import.meta.url),
+  RADAR_WORKERS
+);
 
-async function getRadarData() {
-  console.log("Fetching fresh radar data...");
+// Products polled from startup; any other product starts polling the first
+// time it is requested
+const INGEST_PRODUCTS = (process.env.INGEST_PRODUCTS || DEFAULT_PRODUCT_ID)
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
 
+// Rendered Mercator tiles, keyed by frame so a new download never serves old
+// tiles; least recently used tiles are evicted past TILE_CACHE_SIZE
+const TILE_CACHE_SIZE = Number(process.env.TILE_CACHE_SIZE) || 1024;
+const MAX_TILE_ZOOM = 12;
+const tileCache = createRenderCache({ maxEntries: TILE_CACHE_SIZE });
+// Full frames re-rendered for ?palette= requests and ?bbox=/size crops;
+// these can be large, so only a few are kept
+const imageCache = createRenderCache({ maxEntries: 16 });
+// Largest side of a requested image, a little over a full CONUS frame
+const MAX_IMAGE_SIZE = 8192;
+// How images shrink for products that don't say; see products.js
+const DEFAULT_RESAMPLING = "max";
+
+// GRLevelX/GR2Analyst .pal files in PALETTE_DIR become extra palettes
+if (process.env.PALETTE_DIR) {
+  loadPaletteDirectory(process.env.PALETTE_DIR);
+}
+
+// Every ingested frame is kept on disk for ARCHIVE_RETENTION_MINUTES (0 for
+// no age limit) and at most ARCHIVE_MAX_FRAMES frames per product (0 for no
+// count limit)
+const frameArchive = createFrameArchive({
+  directory:
+    process.env.ARCHIVE_DIR || path.resolve(__dirname, "../data/archive"),
+  maxAgeMinutes: Number(process.env.ARCHIVE_RETENTION_MINUTES ?? 180),
+  maxFrames: Number(process.env.ARCHIVE_MAX_FRAMES ?? 0),
+});
+frameArchive.load();
+
+// DATA_SOURCE selects where product files come from:
+//   http      - NOAA's MRMS server (default)
+//   mirror    - the same layout under MIRROR_BASE_URL
+//   directory - the newest .grib2/.grib2.gz file per product in DATA_DIR
+//   replay    - DATA_DIR's files played back in timestamp order, REPLAY_SPEED
+//               times faster than real time; REPLAY_LOOP=0 stops at the end
+const dataSource = createDataSource({
+  type: process.env.DATA_SOURCE || "http",
+  baseUrl: process.env.MIRROR_BASE_URL,
+  directory: process.env.DATA_DIR,
+  replaySpeed: Number(process.env.REPLAY_SPEED) || 1,
+  replayLoop: process.env.REPLAY_LOOP !== "0",
+});
+
+// Poll every product at this interval instead of its own cadence, e.g. to
+// keep up with a fast replay
+const INGEST_INTERVAL_SECONDS =
+  Number(process.env.INGEST_INTERVAL_SECONDS) || undefined;
+
+// Storm cells are regions of reflectivity at or above CELL_THRESHOLDS (dBZ)
+// covering at least CELL_MIN_AREA_KM2; tracking resumes from the last
+// CELL_HISTORY_FRAMES archived frames after a restart
+const CELL_OPTIONS = {
+  thresholds: (process.env.CELL_THRESHOLDS || "35,45,55")
+    .split(",")
+    .map(Number)
+    .filter(Number.isFinite),
+  minAreaKm2: Number(process.env.CELL_MIN_AREA_KM2 ?? 16),
+};
+const CELL_HISTORY_FRAMES = Number(process.env.CELL_HISTORY_FRAMES ?? 6);
+
+// Per product: the tracker and the chain of frames waiting to be analysed,
+// which keeps them in order
+const cellTrackers = new Map();
+
+function isCellProduct(catalogEntry) {
+  return catalogEntry.unit === "dBZ";
+}
+
+// Queue a frame for cell identification and tracking; `loadRecord` is only
+// called when its turn comes, and frames no newer than the tracker's last
+// are skipped. Resolves once the frame has been handled.
+function analyseCells(catalogEntry, timestamp, loadRecord) {
+  if (!cellTrackers.has(catalogEntry.id)) {
+    cellTrackers.set(catalogEntry.id, {
+      tracker: createCellTracker(),
+      queue: Promise.resolve(),
+    });
+  }
+  const entry = cellTrackers.get(catalogEntry.id);
+
+  entry.queue = entry.queue
+    .then(async () => {
+      const { lastTimestamp } = entry.tracker;
+      if (lastTimestamp && timestamp <= lastTimestamp) return;
+
+      const loaded = await loadRecord();
+      if (!loaded) return;
+
+      const cells = await radarPool.run(
+        "cells",
+        {
+          record: { grid: loaded.record.grid, values: loaded.record.values },
+          options: CELL_OPTIONS,
+        },
+        loaded.transfer
+      );
+      entry.tracker.update(timestamp, cells);
+    })
+    .catch((error) => {
+      console.error("Error tracking storm cells:", error);
+    });
+  return entry.queue;
+}
+
+const ingester = createIngester(radarPool, {
+  source: dataSource,
+  intervalSeconds: INGEST_INTERVAL_SECONDS,
+  onFrame(catalogEntry, frame) {
+    frameArchive.add(catalogEntry.id, frame).catch((error) => {
+      console.error("Error archiving frame:", error);
+    });
+    if (isCellProduct(catalogEntry)) {
+      // The values are in shared memory; with nothing transferred the worker
+      // reads them in place and the ingest cache keeps its buffer
+      analyseCells(catalogEntry, frame.record.timestamp, () => ({
+        record: frame.record,
+        transfer: [],
+      }));
+    }
+  },
+});
+
+// Let cross-origin pages read the frame's age and the bounds drawn
+app.use(cors({ exposedHeaders: ["X-Data-Age", "X-Radar-Bounds"] }));
+
+const RECORD_QUERY_PARAMS = {
+  discipline: "discipline",
+  category: "parameterCategory",
+  parameter: "parameterNumber",
+  levelType: "levelType",
+  level: "levelValue",
+};
+
+// Optional ?name=&discipline=&category=&parameter=&levelType=&level=
+// select a field when the file holds more than one
+function getRecordCriteria(query) {
+  const criteria = {};
+
+  if (query.name !== undefined) {
+    criteria.name = String(query.name);
+  }
+
+  for (const [param, key] of Object.entries(RECORD_QUERY_PARAMS)) {
+    if (query[param] !== undefined) {
+      const value = Number(query[param]);
+      if (!Number.isFinite(value)) {
+        return null;
+      }
+      criteria[key] = value;
+    }
+  }
+
+  return criteria;
+}
+
+// Optional ?palette=&mode=&threshold= pick the colors; returns null when
+// any is invalid, and {} when none is given
+function getPaletteQuery(query) {
+  const selection = {};
+
+  if (query.palette !== undefined) {
+    if (!hasPalette(String(query.palette))) {
+      return null;
+    }
+    selection.id = String(query.palette);
+  }
+
+  if (query.mode !== undefined) {
+    if (!PALETTE_MODES.includes(query.mode)) {
+      return null;
+    }
+    selection.mode = query.mode;
+  }
+
+  if (query.threshold !== undefined) {
+    const threshold = Number(query.threshold);
+    if (query.threshold === "" || !Number.isFinite(threshold)) {
+      return null;
+    }
+    selection.threshold = threshold;
+  }
+
+  return selection;
+}
+
+// ?bbox=west,south,east,north in degrees; undefined when absent, null when
+// invalid
+function parseBoundingBox(value) {
+  if (value === undefined) return undefined;
+
+  const parts = String(value).split(",");
+  if (parts.length !== 4) return null;
+
+  const [west, south, east, north] = parts.map((part) =>
+    part.trim() === "" ? NaN : Number(part)
+  );
+  if (
+    ![west, south, east, north].every(Number.isFinite) ||
+    west >= east ||
+    south >= north ||
+    south < -90 ||
+    north > 90
+  ) {
+    return null;
+  }
+  return { west, south, east, north };
+}
+
+// An optional whole-number query parameter between `min` and `max`;
+// returns null when invalid
+function parseIntegerParam(value, fallback, min, max) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max
+    ? number
+    : null;
+}
+
+// Optional ?bbox=&width=&height=&maxSize= crop and size the image; returns
+// null when any is invalid, and {} when none is given
+function getImageQuery(query) {
+  const selection = {};
+
+  const bbox = parseBoundingBox(query.bbox);
+  if (bbox === null) return null;
+  if (bbox) selection.bbox = bbox;
+
+  for (const param of ["width", "height", "maxSize"]) {
+    const value = parseIntegerParam(query[param], undefined, 1, MAX_IMAGE_SIZE);
+    if (value === null) return null;
+    if (value !== undefined) selection[param] = value;
+  }
+
+  return selection;
+}
+
+// The bounds and pixel size to render `record` at for an image query: the
+// bbox clipped to the grid, at the requested size or the grid's own
+// resolution, shrunk to fit maxSize. Null when the bbox misses the grid.
+function getImageView(record, { bbox, width, height, maxSize }) {
+  const bounds = bbox ? clipBounds(bbox, record.bounds) : record.bounds;
+  if (!bounds) return null;
+
+  const spanX = bounds.east - bounds.west;
+  const spanY = bounds.north - bounds.south;
+  if (!width && !height) {
+    const { west, east } = record.bounds;
+    width = Math.round((record.width * spanX) / (east - west));
+  }
+  width ||= Math.round((height * spanX) / spanY);
+  height ||= Math.round((width * spanY) / spanX);
+
+  const scale = Math.min(
+    1,
+    Math.min(maxSize || MAX_IMAGE_SIZE, MAX_IMAGE_SIZE) /
+      Math.max(width, height)
+  );
+  return {
+    bounds,
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+function isDefaultPalette(selection) {
+  return Object.keys(selection).length === 0;
+}
+
+function resolveRenderPalette(catalogEntry, selection) {
+  return resolvePalette(selection.id || catalogEntry.colorTable, selection);
+}
+
+function describeProduct(record) {
+  const { product } = record;
+
+  return {
+    name: product.name,
+    unit: product.unit,
+    label: product.unit ? `${product.name}, ${product.unit}` : product.name,
+    discipline: record.discipline,
+    parameterCategory: product.parameterCategory,
+    parameterNumber: product.parameterNumber,
+    templateNum: product.templateNum,
+    level: product.level || null,
+    forecastTime: product.forecastTime || null,
+    validTime: product.validTime || record.timestamp,
+    generatingProcess: product.generatingProcess || null,
+    timeRanges: product.timeRanges || null,
+  };
+}
+
+function describeCatalogEntry(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    title: product.title,
+    unit: product.unit,
+    colorTable: product.colorTable,
+    refreshSeconds: product.refreshSeconds,
+    source: dataSource.describe(product),
+    latest: `/api/products/${product.id}/latest.png`,
+    metadata: `/api/products/${product.id}/metadata`,
+  };
+}
+
+function getDataAgeSeconds(record) {
+  return Math.max(
+    0,
+    Math.round((Date.now() - record.timestamp.getTime()) / 1000)
+  );
+}
+
+function buildMetadata(catalogEntry, record, fetchedAt) {
+  return {
+    productId: catalogEntry.id,
+    colorTable: catalogEntry.colorTable,
+    timestamp: record.timestamp,
+    bounds: record.bounds,
+    width: record.width,
+    height: record.height,
+    product: describeProduct(record),
+    fetchedAt: new Date(fetchedAt),
+  };
+}
+
+// Reads from the ingest cache; only a product's very first request waits for
+// a download
+async function getRadarData(catalogEntry, criteria = {}) {
   try {
-    const gribBuffer = await fetchLatestRadarData();
+    const frame = await ingester.getFrame(catalogEntry, criteria);
 
-    const parsedData = await parseGrib2(gribBuffer);
+    if (!frame) {
+      return null;
+    }
 
-    const pngBuffer = await renderRadarPng(parsedData);
+    const { record: parsedData } = frame;
+    // A failed poll leaves the previous frame in the cache; serve it, but say
+    // so
+    const { stale } = ingester.getStatus(catalogEntry);
+    const dataAge = getDataAgeSeconds(parsedData);
 
-    console.log("Radar data processed successfully");
     return {
-      image: pngBuffer,
+      image: frame.image,
       metadata: {
-        timestamp: parsedData.timestamp,
-        bounds: parsedData.bounds,
-        width: parsedData.width,
-        height: parsedData.height,
+        ...buildMetadata(catalogEntry, parsedData, frame.fetchedAt),
+        stale,
+        dataAgeSeconds: dataAge,
       },
+      record: parsedData,
       timestamp: parsedData.timestamp,
-      fetchedAt: Date.now(),
+      fetchedAt: frame.fetchedAt,
+      stale,
+      dataAge,
     };
   } catch (error) {
     console.error("Error fetching radar data:", error);
@@ -42,35 +407,1133 @@ async function getRadarData() {
   }
 }
 
-app.get("/api/radar/latest", async (req, res) => {
+async function sendRadarImage(req, res, productId) {
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const criteria = getRecordCriteria(req.query);
+  if (!criteria) {
+    return res.status(400).json({ error: "Invalid field selection" });
+  }
+
+  const paletteSelection = getPaletteQuery(req.query);
+  if (!paletteSelection) {
+    return res
+      .status(400)
+      .json({ error: "Invalid palette, mode or threshold" });
+  }
+
+  const imageQuery = getImageQuery(req.query);
+  if (!imageQuery) {
+    return res.status(400).json({
+      error: `bbox must be west,south,east,north in degrees and width, height and maxSize from 1 to ${MAX_IMAGE_SIZE}`,
+    });
+  }
+
   try {
-    const data = await getRadarData();
+    const data = await getRadarData(catalogEntry, criteria);
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No radar field matches the requested selection" });
+    }
 
     if (!data.image) {
       return res.status(503).json({ error: "Radar data not available" });
     }
 
+    // The ingester renders the whole grid in the product's own palette;
+    // anything else is drawn from the cached record on demand
+    let image = data.image;
+    let { bounds } = data.record;
+    const resized = Object.keys(imageQuery).length > 0;
+    if (!isDefaultPalette(paletteSelection) || resized) {
+      const view = resized ? getImageView(data.record, imageQuery) : {};
+      if (!view) {
+        return res
+          .status(404)
+          .json({ error: "bbox does not overlap the radar grid" });
+      }
+      bounds = view.bounds || bounds;
+
+      const key = [
+        catalogEntry.id,
+        JSON.stringify(criteria),
+        data.fetchedAt,
+        JSON.stringify(paletteSelection),
+        JSON.stringify(view),
+      ].join("/");
+      image = await imageCache.get(key, async () =>
+        Buffer.from(
+          await radarPool.run("render", {
+            record: data.record,
+            render: {
+              palette: resolveRenderPalette(catalogEntry, paletteSelection),
+              resampling: catalogEntry.resampling || DEFAULT_RESAMPLING,
+              ...view,
+            },
+          })
+        )
+      );
+    }
+
     res.set("Content-Type", "image/png");
     res.set("Cache-Control", "public, max-age=60");
-    res.send(data.image);
+    res.set("X-Data-Age", String(data.dataAge));
+    // west,south,east,north of the image's edges
+    res.set(
+      "X-Radar-Bounds",
+      [bounds.west, bounds.south, bounds.east, bounds.north].join(",")
+    );
+    res.send(image);
   } catch (error) {
+    // Only reached when there is no cached frame at all to fall back on
     console.error("Error serving radar image:", error);
-    res.status(500).json({ error: "Failed to fetch radar data" });
+    res
+      .status(503)
+      .json({ error: "Radar data not available", detail: error.message });
+  }
+}
+
+async function sendRadarMetadata(req, res, productId) {
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const criteria = getRecordCriteria(req.query);
+  if (!criteria) {
+    return res.status(400).json({ error: "Invalid field selection" });
   }
-});
 
-app.get("/api/radar/metadata", async (req, res) => {
   try {
-    const data = await getRadarData();
+    const data = await getRadarData(catalogEntry, criteria);
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No radar field matches the requested selection" });
+    }
 
     if (!data.metadata) {
       return res.status(503).json({ error: "Radar data not available" });
     }
 
+    res.set("X-Data-Age", String(data.dataAge));
     res.json(data.metadata);
   } catch (error) {
     console.error("Error serving metadata:", error);
-    res.status(500).json({ error: "Failed to fetch radar metadata" });
+    res
+      .status(503)
+      .json({ error: "Radar metadata not available", detail: error.message });
+  }
+}
+
+app.get("/api/palettes", (req, res) => {
+  res.json(
+    listPalettes().map((palette) => ({
+      id: palette.id,
+      title: palette.title,
+      unit: palette.unit,
+      mode: palette.mode,
+      source: palette.source,
+      products: listProducts()
+        .filter((product) => product.colorTable === palette.id)
+        .map((product) => product.id),
+      stops: palette.stops,
+    }))
+  );
+});
+
+// The legend for ?product= (default product) in its own palette, or the one
+// picked by ?palette=&mode=&threshold=; sends the response itself and
+// returns null when the query is invalid
+function getLegendPalette(req, res) {
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    res.status(404).json({ error: `Unknown product: ${productId}` });
+    return null;
+  }
+
+  const paletteSelection = getPaletteQuery(req.query);
+  if (!paletteSelection) {
+    res.status(400).json({ error: "Invalid palette, mode or threshold" });
+    return null;
+  }
+
+  return resolveRenderPalette(catalogEntry, paletteSelection);
+}
+
+app.get("/api/legend", (req, res) => {
+  const palette = getLegendPalette(req, res);
+  if (!palette) return;
+
+  const query = new URLSearchParams(req.query).toString();
+  res.json({
+    ...describeLegend(palette),
+    image: `/api/legend.png${query ? `?${query}` : ""}`,
+  });
+});
+
+app.get("/api/legend.png", async (req, res) => {
+  const palette = getLegendPalette(req, res);
+  if (!palette) return;
+
+  try {
+    const image = await renderLegend(palette);
+    res.set("Content-Type", "image/png");
+    res.set("Cache-Control", "public, max-age=3600");
+    res.send(image);
+  } catch (error) {
+    console.error("Error rendering legend:", error);
+    res.status(500).json({ error: "Failed to render legend" });
+  }
+});
+
+app.get("/api/products", (req, res) => {
+  res.json(listProducts().map(describeCatalogEntry));
+});
+
+app.get("/api/products/:id/latest.png", (req, res) =>
+  sendRadarImage(req, res, req.params.id)
+);
+
+app.get("/api/products/:id/metadata", (req, res) =>
+  sendRadarMetadata(req, res, req.params.id)
+);
+
+// The original routes serve the default product unless ?product= names another
+app.get("/api/radar/latest", (req, res) =>
+  sendRadarImage(req, res, req.query.product || DEFAULT_PRODUCT_ID)
+);
+
+app.get("/api/radar/metadata", (req, res) =>
+  sendRadarMetadata(req, res, req.query.product || DEFAULT_PRODUCT_ID)
+);
+
+function parseTileCoordinates(params) {
+  const [z, x, y] = [params.z, params.x, params.y].map(Number);
+  const tiles = 2 ** z;
+
+  if (
+    ![z, x, y].every(Number.isInteger) ||
+    z < 0 ||
+    z > MAX_TILE_ZOOM ||
+    x < 0 ||
+    x >= tiles ||
+    y < 0 ||
+    y >= tiles
+  ) {
+    return null;
+  }
+
+  return { z, x, y };
+}
+
+// Tiles with nothing to draw are 204 No Content rather than transparent PNGs
+app.get("/api/radar/tiles/:z/:x/:y.png", async (req, res) => {
+  const tile = parseTileCoordinates(req.params);
+  if (!tile) {
+    return res.status(400).json({ error: "Invalid tile coordinates" });
+  }
+
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const criteria = getRecordCriteria(req.query);
+  if (!criteria) {
+    return res.status(400).json({ error: "Invalid field selection" });
+  }
+
+  const paletteSelection = getPaletteQuery(req.query);
+  if (!paletteSelection) {
+    return res
+      .status(400)
+      .json({ error: "Invalid palette, mode or threshold" });
+  }
+
+  try {
+    const data = await getRadarData(catalogEntry, criteria);
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No radar field matches the requested selection" });
+    }
+
+    const key = [
+      catalogEntry.id,
+      JSON.stringify(criteria),
+      data.fetchedAt,
+      JSON.stringify(paletteSelection),
+      tile.z,
+      tile.x,
+      tile.y,
+    ].join("/");
+    const image = await tileCache.get(key, async () => {
+      const png = await radarPool.run("tile", {
+        record: data.record,
+        options: {
+          ...tile,
+          palette: resolveRenderPalette(catalogEntry, paletteSelection),
+          resampling: catalogEntry.resampling || DEFAULT_RESAMPLING,
+        },
+      });
+      return png && Buffer.from(png);
+    });
+
+    res.set("Cache-Control", "public, max-age=60");
+    res.set("X-Data-Age", String(data.dataAge));
+
+    if (!image) {
+      return res.status(204).end();
+    }
+
+    res.set("Content-Type", "image/png");
+    res.send(image);
+  } catch (error) {
+    console.error("Error serving radar tile:", error);
+    res
+      .status(503)
+      .json({ error: "Radar data not available", detail: error.message });
+  }
+});
+
+// Points per batch request, and the body size that allows them
+const MAX_BATCH_POINTS = 1000;
+const BATCH_BODY_LIMIT = "256kb";
+
+function parsePoint(lat, lon) {
+  if (lat === undefined || lon === undefined || lat === "" || lon === "") {
+    return null;
+  }
+
+  const point = { lat: Number(lat), lon: Number(lon) };
+  if (
+    !Number.isFinite(point.lat) ||
+    !Number.isFinite(point.lon) ||
+    Math.abs(point.lat) > 90
+  ) {
+    return null;
+  }
+  return point;
+}
+
+// Missing and no-coverage cells are decoded as -999
+function cellValue(value) {
+  return value > -900 ? value : null;
+}
+
+// The raw value in the grid cell containing the point; null when the point
+// is outside the grid or the cell has no data
+function sampleRecord(record, point) {
+  const cell = locateGridCell(record.grid, point.lon, point.lat);
+
+  return {
+    ...point,
+    i: cell ? cell.i : null,
+    j: cell ? cell.j : null,
+    value: cell ? cellValue(record.values[cell.index]) : null,
+  };
+}
+
+// Reads the latest frame for ?product= and the field selection, then
+// responds with sample(record); shared by the single and batch routes
+async function sendPointValues(req, res, sample) {
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const criteria = getRecordCriteria(req.query);
+  if (!criteria) {
+    return res.status(400).json({ error: "Invalid field selection" });
+  }
+
+  try {
+    const data = await getRadarData(catalogEntry, criteria);
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No radar field matches the requested selection" });
+    }
+
+    res.set("X-Data-Age", String(data.dataAge));
+    res.json({
+      productId: catalogEntry.id,
+      unit: data.record.product.unit || catalogEntry.unit,
+      timestamp: data.timestamp,
+      stale: data.stale,
+      ...sample(data.record),
+    });
+  } catch (error) {
+    console.error("Error sampling radar data:", error);
+    res
+      .status(503)
+      .json({ error: "Radar data not available", detail: error.message });
+  }
+}
+
+app.get("/api/radar/point", (req, res) => {
+  const point = parsePoint(req.query.lat, req.query.lon);
+  if (!point) {
+    return res.status(400).json({ error: "Invalid lat/lon" });
+  }
+
+  return sendPointValues(req, res, (record) => sampleRecord(record, point));
+});
+
+// Body: { "points": [{ "lat": 35.2, "lon": -97.4 }, ...] }
+app.post(
+  "/api/radar/point",
+  express.json({ limit: BATCH_BODY_LIMIT }),
+  (req, res) => {
+    const requested = req.body?.points;
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return res.status(400).json({ error: "Expected a list of points" });
+    }
+    if (requested.length > MAX_BATCH_POINTS) {
+      return res
+        .status(400)
+        .json({ error: `At most ${MAX_BATCH_POINTS} points per request` });
+    }
+
+    const points = requested.map((point) => parsePoint(point?.lat, point?.lon));
+    const invalid = points.indexOf(null);
+    if (invalid !== -1) {
+      return res.status(400).json({ error: `Invalid lat/lon at ${invalid}` });
+    }
+
+    return sendPointValues(req, res, (record) => ({
+      points: points.map((point) => sampleRecord(record, point)),
+    }));
+  }
+);
+
+// The value at one point in every archived frame of ?product=, optionally
+// limited to ?from= and ?to= (frame keys, ISO 8601 or epoch milliseconds)
+app.get("/api/radar/point/series", async (req, res) => {
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const point = parsePoint(req.query.lat, req.query.lon);
+  if (!point) {
+    return res.status(400).json({ error: "Invalid lat/lon" });
+  }
+
+  const from = req.query.from ? parseFrameTimestamp(req.query.from) : -Infinity;
+  const to = req.query.to ? parseFrameTimestamp(req.query.to) : Infinity;
+  if (from === null || to === null) {
+    return res.status(400).json({ error: "Invalid from/to timestamp" });
+  }
+
+  try {
+    const series = [];
+    // As the single-point routes report it, from the newest frame read
+    let unit = catalogEntry.unit;
+
+    for (const { timestamp } of frameArchive.list(productId)) {
+      const time = timestamp.getTime();
+      if (time < from || time > to) continue;
+
+      const stored = await frameArchive.readMetadata(productId, time);
+      if (!stored) continue;
+      unit = stored.record.product.unit || catalogEntry.unit;
+
+      const cell = locateGridCell(stored.record.grid, point.lon, point.lat);
+      if (!cell) {
+        series.push({ timestamp, i: null, j: null, value: null });
+        continue;
+      }
+
+      const [value] = await frameArchive.readValues(productId, time, [
+        cell.index,
+      ]);
+      series.push({ timestamp, i: cell.i, j: cell.j, value: cellValue(value) });
+    }
+
+    res.json({
+      productId: catalogEntry.id,
+      unit,
+      ...point,
+      series,
+    });
+  } catch (error) {
+    console.error("Error reading archived point values:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to read archived frames", detail: error.message });
+  }
+});
+
+const MAX_CONTOUR_LEVELS = 20;
+const DEFAULT_CONTOUR_ZOOM = 5;
+// Serialized GeoJSON per frame, levels and zoom
+const contourCache = createRenderCache({ maxEntries: 32 });
+
+// ?levels=20,35,50; without it, the lower edges of the product palette's
+// legend categories. Returns null when invalid or there is no default.
+function getContourLevels(query, catalogEntry) {
+  if (query.levels === undefined) {
+    const { categories } = getPalette(catalogEntry.colorTable);
+    return categories.length > 0
+      ? categories.map((category) => category.min)
+      : null;
+  }
+
+  const levels = String(query.levels)
+    .split(",")
+    .map((level) => (level.trim() === "" ? NaN : Number(level)));
+  if (
+    levels.length > MAX_CONTOUR_LEVELS ||
+    levels.some((level) => !Number.isFinite(level))
+  ) {
+    return null;
+  }
+  return levels;
+}
+
+app.get("/api/radar/contours.geojson", async (req, res) => {
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const criteria = getRecordCriteria(req.query);
+  if (!criteria) {
+    return res.status(400).json({ error: "Invalid field selection" });
+  }
+
+  const levels = getContourLevels(req.query, catalogEntry);
+  if (!levels) {
+    return res.status(400).json({
+      error: `Expected ?levels= as up to ${MAX_CONTOUR_LEVELS} comma-separated numbers`,
+    });
+  }
+
+  const zoom =
+    req.query.zoom === undefined
+      ? DEFAULT_CONTOUR_ZOOM
+      : Number(req.query.zoom);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_TILE_ZOOM) {
+    return res
+      .status(400)
+      .json({ error: `Zoom must be an integer from 0 to ${MAX_TILE_ZOOM}` });
+  }
+
+  try {
+    const data = await getRadarData(catalogEntry, criteria);
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No radar field matches the requested selection" });
+    }
+
+    const unit = data.record.product.unit || catalogEntry.unit;
+    const key = [
+      catalogEntry.id,
+      JSON.stringify(criteria),
+      data.fetchedAt,
+      levels.join(","),
+      zoom,
+    ].join("/");
+    const geojson = await contourCache.get(key, () =>
+      radarPool.run("contours", {
+        record: { grid: data.record.grid, values: data.record.values },
+        options: { levels, zoom, unit },
+        metadata: {
+          productId: catalogEntry.id,
+          timestamp: data.timestamp,
+          unit,
+          levels,
+          zoom,
+        },
+      })
+    );
+
+    res.set("Content-Type", "application/geo+json");
+    res.set("Cache-Control", "public, max-age=60");
+    res.set("X-Data-Age", String(data.dataAge));
+    res.send(geojson);
+  } catch (error) {
+    console.error("Error computing contours:", error);
+    res
+      .status(503)
+      .json({ error: "Radar contours not available", detail: error.message });
+  }
+});
+
+// Loop sizes and timing; delays are in milliseconds
+const DEFAULT_LOOP_FRAMES = 10;
+const MAX_LOOP_FRAMES = 30;
+const DEFAULT_LOOP_WIDTH = 800;
+const MAX_LOOP_WIDTH = 2048;
+const DEFAULT_LOOP_DELAY_MS = 500;
+const DEFAULT_LOOP_HOLD_MS = 2000;
+const MAX_LOOP_DELAY_MS = 30000;
+const LOOP_CONTENT_TYPES = {
+  gif: "image/gif",
+  webp: "image/webp",
+  png: "image/png",
+};
+// Encoded loops; each is small, but slow to make
+const loopCache = createRenderCache({ maxEntries: 16 });
+
+// The product's newest archived frames as an animation, one worker job per
+// frame so only one decoded grid is held at a time
+app.get("/api/radar/loop.:format", async (req, res) => {
+  const { format } = req.params;
+  if (!LOOP_FORMATS.includes(format)) {
+    return res.status(404).json({ error: `Unknown loop format: ${format}` });
+  }
+
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const count = parseIntegerParam(
+    req.query.frames,
+    DEFAULT_LOOP_FRAMES,
+    1,
+    MAX_LOOP_FRAMES
+  );
+  const width = parseIntegerParam(
+    req.query.width,
+    DEFAULT_LOOP_WIDTH,
+    16,
+    MAX_LOOP_WIDTH
+  );
+  const delayMs = parseIntegerParam(
+    req.query.delay,
+    DEFAULT_LOOP_DELAY_MS,
+    10,
+    MAX_LOOP_DELAY_MS
+  );
+  const holdMs = parseIntegerParam(
+    req.query.hold,
+    Math.max(delayMs, DEFAULT_LOOP_HOLD_MS),
+    10,
+    MAX_LOOP_DELAY_MS
+  );
+  const bbox = parseBoundingBox(req.query.bbox);
+  const paletteSelection = getPaletteQuery(req.query);
+
+  if (count === null) {
+    return res
+      .status(400)
+      .json({ error: `frames must be from 1 to ${MAX_LOOP_FRAMES}` });
+  }
+  if (width === null) {
+    return res
+      .status(400)
+      .json({ error: `width must be from 16 to ${MAX_LOOP_WIDTH}` });
+  }
+  if (delayMs === null || holdMs === null) {
+    return res.status(400).json({
+      error: `delay and hold must be from 10 to ${MAX_LOOP_DELAY_MS} ms`,
+    });
+  }
+  if (bbox === null) {
+    return res
+      .status(400)
+      .json({ error: "bbox must be west,south,east,north in degrees" });
+  }
+  if (!paletteSelection) {
+    return res
+      .status(400)
+      .json({ error: "Invalid palette, mode or threshold" });
+  }
+
+  const frames = frameArchive.list(productId).slice(-count);
+  if (frames.length === 0) {
+    return res.status(404).json({ error: "No archived frames to animate" });
+  }
+
+  const newest = frames[frames.length - 1];
+
+  try {
+    const metadata = await frameArchive.readMetadata(
+      productId,
+      newest.timestamp.getTime()
+    );
+    // Pruned since the list was taken
+    if (!metadata) {
+      return res.status(404).json({ error: "No archived frames to animate" });
+    }
+    // Every frame covers the same box, so they all come out the same size
+    const bounds = bbox
+      ? clipBounds(bbox, metadata.record.bounds)
+      : metadata.record.bounds;
+    if (!bounds) {
+      return res
+        .status(404)
+        .json({ error: "bbox does not overlap the radar grid" });
+    }
+
+    const key = [
+      productId,
+      newest.key,
+      frames.length,
+      JSON.stringify(bbox || null),
+      width,
+      delayMs,
+      holdMs,
+      JSON.stringify(paletteSelection),
+      format,
+    ].join("/");
+
+    const image = await loopCache.get(key, async () => {
+      const render = {
+        palette: resolveRenderPalette(catalogEntry, paletteSelection),
+        resampling: catalogEntry.resampling || DEFAULT_RESAMPLING,
+        bounds,
+        width,
+      };
+
+      const rendered = [];
+      for (const { timestamp } of frames) {
+        const record = await frameArchive.readRecord(
+          productId,
+          timestamp.getTime()
+        );
+        // Pruned since the list was taken
+        if (!record) continue;
+
+        rendered.push(
+          await radarPool.run("loopFrame", { record, options: render }, [
+            record.values.buffer,
+          ])
+        );
+      }
+      if (rendered.length === 0) return null;
+
+      return Buffer.from(
+        await radarPool.run(
+          "encodeLoop",
+          { frames: rendered, options: { format, delayMs, holdMs } },
+          rendered.map((frame) => frame.pixels.buffer)
+        )
+      );
+    });
+    if (!image) {
+      return res.status(404).json({ error: "No archived frames to animate" });
+    }
+
+    res.set("Content-Type", LOOP_CONTENT_TYPES[format]);
+    res.set(
+      "Content-Disposition",
+      `inline; filename="${productId}-${newest.key}.${format}"`
+    );
+    res.set("Cache-Control", "public, max-age=60");
+    res.send(image);
+  } catch (error) {
+    console.error("Error rendering radar loop:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to render loop", detail: error.message });
+  }
+});
+
+const EXPORT_CONTENT_TYPES = {
+  tif: "image/tiff",
+  nc: "application/x-netcdf",
+};
+
+// Product description written into exported files
+function getExportAttributes(catalogEntry, record) {
+  const { level } = record.product;
+  let levelText = null;
+  if (level) {
+    levelText = level.name;
+    if (level.value !== null) {
+      levelText += ` ${level.value}${level.unit ? ` ${level.unit}` : ""}`;
+    }
+  }
+
+  return {
+    productId: catalogEntry.id,
+    title: catalogEntry.title,
+    unit: record.product.unit || catalogEntry.unit,
+    timestamp: record.timestamp,
+    name: record.product.name,
+    level: levelText,
+  };
+}
+
+// Checks ?bbox= and the export format for the routes below; sends the
+// error response itself and returns null when either is invalid
+function getExportOptions(req, res) {
+  const { format } = req.params;
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(404).json({ error: `Unknown export format: ${format}` });
+    return null;
+  }
+
+  const bbox = parseBoundingBox(req.query.bbox);
+  if (bbox === null) {
+    res
+      .status(400)
+      .json({ error: "bbox must be west,south,east,north in degrees" });
+    return null;
+  }
+
+  return { format, bbox };
+}
+
+// Exported files by frame, field, bbox and format. A CONUS NetCDF file is
+// about as big as the decoded grid, so only a few are kept.
+const exportCache = createRenderCache({ maxEntries: 4 });
+
+// Encodes `record` in the worker; null when the bbox misses the grid
+async function exportRecord(catalogEntry, record, { format, bbox }, transfer) {
+  const file = await radarPool.run(
+    "export",
+    {
+      record,
+      options: {
+        format,
+        bbox,
+        attributes: getExportAttributes(catalogEntry, record),
+      },
+    },
+    transfer
+  );
+  return file && Buffer.from(file);
+}
+
+// Sends an exported file as a download named after the product and frame
+// time
+function sendExport(res, catalogEntry, time, file, format) {
+  if (!file) {
+    return res
+      .status(404)
+      .json({ error: "bbox does not overlap the radar grid" });
+  }
+
+  res.set("Content-Type", EXPORT_CONTENT_TYPES[format]);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${catalogEntry.id}-${formatFrameKey(
+      time
+    )}.${format}"`
+  );
+  res.send(file);
+}
+
+// The latest frame's values as GeoTIFF (.tif) or NetCDF-CF (.nc), for GIS
+// tools and xarray
+app.get("/api/radar/latest.:format", async (req, res) => {
+  const exportOptions = getExportOptions(req, res);
+  if (!exportOptions) return;
+
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  const criteria = getRecordCriteria(req.query);
+  if (!criteria) {
+    return res.status(400).json({ error: "Invalid field selection" });
+  }
+
+  try {
+    const data = await getRadarData(catalogEntry, criteria);
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No radar field matches the requested selection" });
+    }
+
+    const { format, bbox } = exportOptions;
+    const key = [
+      catalogEntry.id,
+      JSON.stringify(criteria),
+      data.fetchedAt,
+      JSON.stringify(bbox || null),
+      format,
+    ].join("/");
+    // The values are in shared memory; with nothing transferred the worker
+    // reads them in place and the ingest cache keeps its buffer
+    const file = await exportCache.get(key, () =>
+      exportRecord(catalogEntry, data.record, exportOptions)
+    );
+
+    res.set("Cache-Control", "public, max-age=60");
+    res.set("X-Data-Age", String(data.dataAge));
+    sendExport(
+      res,
+      catalogEntry,
+      data.record.timestamp.getTime(),
+      file,
+      format
+    );
+  } catch (error) {
+    console.error("Error exporting radar data:", error);
+    res
+      .status(503)
+      .json({ error: "Radar data not available", detail: error.message });
+  }
+});
+
+// Storm cells in the newest frame of a reflectivity product, with ids that
+// persist from frame to frame, tracks and motion
+app.get("/api/cells", async (req, res) => {
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+  if (!isCellProduct(catalogEntry)) {
+    return res
+      .status(400)
+      .json({ error: "Storm cells need a reflectivity (dBZ) product" });
+  }
+
+  try {
+    const data = await getRadarData(catalogEntry);
+
+    if (!data) {
+      return res.status(503).json({ error: "Radar data not available" });
+    }
+
+    // Normally already done as the frame came in; this waits for it
+    await analyseCells(catalogEntry, data.timestamp, () => ({
+      record: data.record,
+      transfer: [],
+    }));
+
+    const { tracker } = cellTrackers.get(catalogEntry.id);
+    res.set("Cache-Control", "public, max-age=60");
+    res.set("X-Data-Age", String(data.dataAge));
+    res.json({
+      productId,
+      timestamp: tracker.lastTimestamp,
+      thresholds: CELL_OPTIONS.thresholds,
+      minAreaKm2: CELL_OPTIONS.minAreaKm2,
+      ...describeCells(tracker.cells),
+    });
+  } catch (error) {
+    console.error("Error serving storm cells:", error);
+    res
+      .status(503)
+      .json({ error: "Storm cells not available", detail: error.message });
+  }
+});
+
+// "ok" when every watched product is fresh, "degraded" when some are stale
+// or still without data, "unavailable" (503) when none has data
+app.get("/api/health", (req, res) => {
+  const products = ingester.status();
+  const withData = products.filter((product) => product.hasData);
+  const fresh = withData.filter((product) => !product.stale);
+
+  let status = "ok";
+  if (withData.length === 0) {
+    status = "unavailable";
+  } else if (fresh.length < products.length) {
+    status = "degraded";
+  }
+
+  const defaultProduct = getProduct(DEFAULT_PRODUCT_ID);
+  res.status(status === "unavailable" ? 503 : 200).json({
+    status,
+    uptimeSeconds: Math.round(process.uptime()),
+    source: {
+      type: dataSource.type,
+      location: dataSource.describe(defaultProduct),
+      reachable: products.some(
+        (product) => product.lastSuccessAt && product.consecutiveFailures === 0
+      ),
+    },
+    workers: { pending: radarPool.pending },
+    products,
+  });
+});
+
+function archivedFrameUrl(productId, key, extension) {
+  const query = productId === DEFAULT_PRODUCT_ID ? "" : `?product=${productId}`;
+  return `/api/radar/frames/${key}.${extension}${query}`;
+}
+
+function getArchivedFrame(req, res) {
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  const catalogEntry = getProduct(productId);
+  if (!catalogEntry) {
+    res.status(404).json({ error: `Unknown product: ${productId}` });
+    return null;
+  }
+
+  const time = parseFrameTimestamp(req.params.timestamp);
+  if (time === null) {
+    res.status(400).json({ error: "Invalid frame timestamp" });
+    return null;
+  }
+
+  return { catalogEntry, time };
+}
+
+app.get("/api/radar/frames", (req, res) => {
+  const productId = req.query.product || DEFAULT_PRODUCT_ID;
+  if (!getProduct(productId)) {
+    return res.status(404).json({ error: `Unknown product: ${productId}` });
+  }
+
+  res.json({
+    productId,
+    frames: frameArchive.list(productId).map(({ key, timestamp }) => ({
+      timestamp,
+      image: archivedFrameUrl(productId, key, "png"),
+      metadata: archivedFrameUrl(productId, key, "json"),
+    })),
+  });
+});
+
+app.get("/api/radar/frames/:timestamp.png", async (req, res) => {
+  const frame = getArchivedFrame(req, res);
+  if (!frame) return;
+
+  const paletteSelection = getPaletteQuery(req.query);
+  if (!paletteSelection) {
+    return res
+      .status(400)
+      .json({ error: "Invalid palette, mode or threshold" });
+  }
+
+  try {
+    let image;
+    if (isDefaultPalette(paletteSelection)) {
+      image = await frameArchive.readImage(frame.catalogEntry.id, frame.time);
+    } else {
+      const key = [
+        "archive",
+        frame.catalogEntry.id,
+        frame.time,
+        JSON.stringify(paletteSelection),
+      ].join("/");
+      image = await imageCache.get(key, async () => {
+        const record = await frameArchive.readRecord(
+          frame.catalogEntry.id,
+          frame.time
+        );
+        if (!record) return null;
+
+        return Buffer.from(
+          await radarPool.run(
+            "render",
+            {
+              record,
+              render: {
+                palette: resolveRenderPalette(
+                  frame.catalogEntry,
+                  paletteSelection
+                ),
+              },
+            },
+            [record.values.buffer]
+          )
+        );
+      });
+    }
+
+    if (!image) {
+      return res.status(404).json({ error: "No archived frame at that time" });
+    }
+
+    res.set("Content-Type", "image/png");
+    // Archived frames never change
+    res.set("Cache-Control", "public, max-age=86400, immutable");
+    res.send(image);
+  } catch (error) {
+    console.error("Error serving archived frame:", error);
+    res.status(500).json({ error: "Failed to read archived frame" });
+  }
+});
+
+app.get("/api/radar/frames/:timestamp.json", async (req, res) => {
+  const frame = getArchivedFrame(req, res);
+  if (!frame) return;
+
+  try {
+    const stored = await frameArchive.readMetadata(
+      frame.catalogEntry.id,
+      frame.time
+    );
+    if (!stored) {
+      return res.status(404).json({ error: "No archived frame at that time" });
+    }
+
+    res.set("Cache-Control", "public, max-age=86400, immutable");
+    res.json({
+      ...buildMetadata(frame.catalogEntry, stored.record, stored.fetchedAt),
+      image: archivedFrameUrl(
+        frame.catalogEntry.id,
+        formatFrameKey(frame.time),
+        "png"
+      ),
+    });
+  } catch (error) {
+    console.error("Error serving archived frame:", error);
+    res.status(500).json({ error: "Failed to read archived frame" });
+  }
+});
+
+app.get("/api/radar/frames/:timestamp.:format", async (req, res) => {
+  const exportOptions = getExportOptions(req, res);
+  if (!exportOptions) return;
+
+  const frame = getArchivedFrame(req, res);
+  if (!frame) return;
+
+  const { format, bbox } = exportOptions;
+  const key = [
+    frame.catalogEntry.id,
+    "archive",
+    frame.time,
+    JSON.stringify(bbox || null),
+    format,
+  ].join("/");
+
+  try {
+    const exported = await exportCache.get(key, async () => {
+      const record = await frameArchive.readRecord(
+        frame.catalogEntry.id,
+        frame.time
+      );
+      return (
+        record && {
+          file: await exportRecord(frame.catalogEntry, record, exportOptions, [
+            record.values.buffer,
+          ]),
+        }
+      );
+    });
+    if (!exported) {
+      return res.status(404).json({ error: "No archived frame at that time" });
+    }
+
+    res.set("Cache-Control", "public, max-age=86400, immutable");
+    sendExport(res, frame.catalogEntry, frame.time, exported.file, format);
+  } catch (error) {
+    console.error("Error exporting archived frame:", error);
+    res.status(500).json({ error: "Failed to export archived frame" });
   }
 });
 
@@ -81,8 +1544,58 @@ app.get("*", (req, res) => {
 });
 
 app.listen(PORT, () => {
+  for (const id of INGEST_PRODUCTS) {
+    const catalogEntry = getProduct(id);
+    if (!catalogEntry) {
+      console.warn(`Ignoring unknown product in INGEST_PRODUCTS: ${id}`);
+      continue;
+    }
+
+    // Pick up cell tracks from the archive ahead of the first new frame
+    if (isCellProduct(catalogEntry) && CELL_HISTORY_FRAMES > 0) {
+      for (const { timestamp } of frameArchive
+        .list(id)
+        .slice(-CELL_HISTORY_FRAMES)) {
+        analyseCells(catalogEntry, timestamp, async () => {
+          const record = await frameArchive.readRecord(id, timestamp.getTime());
+          return record && { record, transfer: [record.values.buffer] };
+        });
+      }
+    }
+    ingester.watch(catalogEntry);
+  }
+
   console.log(`Weather radar backend running on port ${PORT}`);
+  console.log(`Data source: ${dataSource.type}`);
   console.log(`API endpoints:`);
+  console.log(`  GET /api/products                 - Lists available products`);
+  console.log(
+    `  GET /api/products/:id/latest.png  - Returns a product's PNG image`
+  );
+  console.log(
+    `  GET /api/products/:id/metadata    - Returns a product's metadata`
+  );
+  console.log(`  GET /api/palettes                 - Lists color palettes`);
+  console.log(
+    `  GET /api/legend(.png)             - Returns a product's legend`
+  );
   console.log(`  GET /api/radar/latest   - Returns radar PNG image`);
   console.log(`  GET /api/radar/metadata - Returns radar metadata`);
+  console.log(`  GET /api/radar/latest.tif|.nc - Exports the latest values`);
+  console.log(`  GET /api/radar/tiles/:z/:x/:y.png - Returns a Mercator tile`);
+  console.log(`  GET|POST /api/radar/point     - Values at one or more points`);
+  console.log(`  GET /api/radar/point/series   - Values at a point over time`);
+  console.log(`  GET /api/radar/contours.geojson - Returns band outlines`);
+  console.log(
+    `  GET /api/radar/loop.gif|.webp|.png - Animates archived frames`
+  );
+  console.log(`  GET /api/cells          - Tracked storm cells as GeoJSON`);
+  console.log(`  GET /api/health         - Reports ingest and data health`);
+  console.log(`  GET /api/radar/frames   - Lists archived frame timestamps`);
+  console.log(
+    `  GET /api/radar/frames/:timestamp.png|.json - Returns an archived frame`
+  );
+  console.log(
+    `  GET /api/radar/frames/:timestamp.tif|.nc - Exports an archived frame`
+  );
 });
@@ -0,0 +1,269 @@
+import crypto from "crypto";
+import { findGrib2Field } from "./grib2Parser.js";
+
+// Cached records go to workers for every tile, image and export rendered
+// from them; values in shared memory are handed over without a copy
+function shareValues(values) {
+  const shared = new Float32Array(new SharedArrayBuffer(values.byteLength));
+  shared.set(values);
+  return shared;
+}
+
+// Frames are cached per field of the file, however the field was selected
+function fieldKey({ messageIndex, fieldIndex }) {
+  return `${messageIndex}:${fieldIndex}`;
+}
+
+/**
+ * Poll products from `source` (see dataSources.js) on their refresh cadence,
+ * or every `intervalSeconds` when set, and keep the latest download and its
+ * rendered frames in memory. Each product is polled from the first time it
+ * is watched; conditional requests mean an unchanged file costs one round
+ * trip and no decoding. Frames are rendered on `pool` and cached per field
+ * of the file: selections are resolved against the fields listed by the
+ * first decode, so equivalent selections share one frame and one that
+ * matches nothing decodes nothing. Concurrent requests for the same frame
+ * share one job.
+ * `onFrame(product, frame)` is called with each newly ingested default frame.
+ */
+export function createIngester(pool, { source, intervalSeconds, onFrame }) {
+  const states = new Map();
+
+  function getState(product) {
+    let state = states.get(product.id);
+    if (!state) {
+      state = {
+        product,
+        download: null,
+        polling: null,
+        timer: null,
+        lastPollAt: null,
+        lastSuccessAt: null,
+        lastChangeAt: null,
+        lastError: null,
+        lastErrorAt: null,
+        consecutiveFailures: 0,
+      };
+      states.set(product.id, state);
+    }
+    return state;
+  }
+
+  // Decode and render the field matching `criteria` on the pool. `grib`,
+  // when given, is the download's decompressed GRIB2; it is handed to the
+  // worker rather than copied, and later renders start from the raw bytes
+  // again
+  async function decodeFrame(state, download, criteria, grib = null) {
+    const payload = {
+      criteria,
+      render: { colorTable: state.product.colorTable },
+    };
+    const transfer = [];
+    if (grib) {
+      payload.grib = grib;
+      transfer.push(grib.buffer);
+    } else {
+      payload.data = download.data;
+    }
+
+    const { fields, image, record } = await pool.run(
+      "frame",
+      payload,
+      transfer
+    );
+    return {
+      fields,
+      frame: record && {
+        image: Buffer.from(image),
+        record: { ...record, values: shareValues(record.values) },
+        fetchedAt: download.fetchedAt,
+      },
+    };
+  }
+
+  function renderFrame(state, download, field) {
+    const key = fieldKey(field);
+
+    if (download.frames.has(key)) {
+      return Promise.resolve(download.frames.get(key));
+    }
+
+    let job = download.inFlight.get(key);
+    if (!job) {
+      const { messageIndex, fieldIndex } = field;
+      job = decodeFrame(state, download, { messageIndex, fieldIndex })
+        .then(({ frame }) => {
+          download.frames.set(key, frame);
+          return frame;
+        })
+        .finally(() => download.inFlight.delete(key));
+      download.inFlight.set(key, job);
+    }
+
+    return job;
+  }
+
+  async function poll(state) {
+    const { product } = state;
+    const previous = state.download;
+
+    const response = await source.fetch(product, {
+      etag: previous?.etag,
+      lastModified: previous?.lastModified,
+    });
+
+    if (response.notModified) {
+      return;
+    }
+
+    // Servers that ignore the validators still send the same bytes
+    const hash = crypto.createHash("sha1").update(response.data).digest("hex");
+    if (previous && previous.hash === hash) {
+      console.log(`${product.id}: download unchanged, skipping decode`);
+      previous.etag = response.etag;
+      previous.lastModified = response.lastModified;
+      return;
+    }
+
+    const download = {
+      data: response.data,
+      etag: response.etag,
+      lastModified: response.lastModified,
+      hash,
+      fetchedAt: Date.now(),
+      fields: [],
+      frames: new Map(),
+      inFlight: new Map(),
+    };
+
+    // Render the default field before publishing the download, so readers
+    // keep getting the previous frame until the new one is ready
+    const { fields, frame } = await decodeFrame(
+      state,
+      download,
+      {},
+      response.grib
+    );
+    download.fields = fields;
+    if (frame) {
+      download.frames.set(fieldKey(frame.record), frame);
+    }
+    state.download = download;
+    state.lastChangeAt = download.fetchedAt;
+    console.log(`${product.id}: ingested new frame`);
+
+    if (frame && onFrame) {
+      onFrame(product, frame);
+    }
+  }
+
+  // One poll per product at a time; callers arriving mid-poll wait on it
+  function refresh(state) {
+    if (!state.polling) {
+      state.lastPollAt = Date.now();
+      state.polling = poll(state)
+        .then(() => {
+          state.lastSuccessAt = Date.now();
+          state.lastError = null;
+          state.consecutiveFailures = 0;
+        })
+        .catch((error) => {
+          state.lastError = error;
+          state.lastErrorAt = Date.now();
+          state.consecutiveFailures++;
+          console.error(`${state.product.id}: ingest failed:`, error);
+          throw error;
+        })
+        .finally(() => {
+          state.polling = null;
+        });
+    }
+    return state.polling;
+  }
+
+  function pollInterval(state) {
+    return (intervalSeconds || state.product.refreshSeconds) * 1000;
+  }
+
+  function schedule(state) {
+    state.timer = setTimeout(async () => {
+      try {
+        await refresh(state);
+      } catch {
+        // Logged by refresh; the cached frame stays in place
+      }
+      schedule(state);
+    }, pollInterval(state));
+    state.timer.unref();
+  }
+
+  // Start polling a product if it isn't already; the first poll runs now
+  function watch(product) {
+    const state = getState(product);
+    if (!state.timer) {
+      schedule(state);
+      refresh(state).catch(() => {});
+    }
+    return state;
+  }
+
+  // Latest frame for a product and field selection, or null when no field
+  // matches. Only waits on the network before the product's first download.
+  async function getFrame(product, criteria = {}) {
+    const state = watch(product);
+
+    if (!state.download) {
+      await refresh(state);
+    }
+
+    const { download } = state;
+    const field = findGrib2Field(download.fields, criteria);
+    return field ? renderFrame(state, download, field) : null;
+  }
+
+  // The cached frame is stale once the latest poll failed or no poll has
+  // succeeded for two intervals; it is still served, just flagged
+  function describeState(state) {
+    const now = Date.now();
+    const field = state.download && findGrib2Field(state.download.fields);
+    const frame = field && state.download.frames.get(fieldKey(field));
+    const dataTimestamp = frame ? frame.record.timestamp : null;
+
+    return {
+      productId: state.product.id,
+      hasData: state.download !== null,
+      stale:
+        state.lastError !== null ||
+        state.lastSuccessAt === null ||
+        now - state.lastSuccessAt > 2 * pollInterval(state),
+      lastPollAt: state.lastPollAt,
+      lastSuccessAt: state.lastSuccessAt,
+      lastChangeAt: state.lastChangeAt,
+      lastError: state.lastError ? state.lastError.message : null,
+      lastErrorAt: state.lastErrorAt,
+      consecutiveFailures: state.consecutiveFailures,
+      dataTimestamp,
+      dataAgeSeconds: dataTimestamp
+        ? Math.round((now - dataTimestamp.getTime()) / 1000)
+        : null,
+    };
+  }
+
+  function getStatus(product) {
+    const state = states.get(product.id);
+    return state ? describeState(state) : null;
+  }
+
+  function status() {
+    return [...states.values()].map(describeState);
+  }
+
+  function close() {
+    for (const state of states.values()) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+  }
+
+  return { watch, getFrame, getStatus, status, close };
+}
@@ -0,0 +1,1605 @@
+/**
+ * JPEG2000 (ISO/IEC 15444-1) codestream decoder used for GRIB2 data
+ * representation template 5.40. Handles raw codestreams and JP2 files,
+ * tiled images, all five progression orders, reversible 5/3 and
+ * irreversible 9/7 wavelets, and the code-block styles written by
+ * Jasper and OpenJPEG (except selective arithmetic coding bypass).
+ */
+
+const MARKER_SOC = 0xff4f;
+const MARKER_SIZ = 0xff51;
+const MARKER_COD = 0xff52;
+const MARKER_COC = 0xff53;
+const MARKER_TLM = 0xff55;
+const MARKER_PLM = 0xff57;
+const MARKER_PLT = 0xff58;
+const MARKER_QCD = 0xff5c;
+const MARKER_QCC = 0xff5d;
+const MARKER_RGN = 0xff5e;
+const MARKER_POC = 0xff5f;
+const MARKER_PPM = 0xff60;
+const MARKER_PPT = 0xff61;
+const MARKER_CRG = 0xff63;
+const MARKER_COM = 0xff64;
+const MARKER_SOT = 0xff90;
+const MARKER_SOP = 0xff91;
+const MARKER_EPH = 0xff92;
+const MARKER_SOD = 0xff93;
+const MARKER_EOC = 0xffd9;
+
+const CODEBLOCK_BYPASS = 0x01;
+const CODEBLOCK_RESET = 0x02;
+const CODEBLOCK_TERMINATE_ALL = 0x04;
+const CODEBLOCK_VERTICALLY_CAUSAL = 0x08;
+const CODEBLOCK_SEGMENTATION = 0x20;
+
+const PROGRESSION_LRCP = 0;
+const PROGRESSION_RLCP = 1;
+const PROGRESSION_RPCL = 2;
+const PROGRESSION_PCRL = 3;
+const PROGRESSION_CPRL = 4;
+
+// MQ coder probability estimation table (ISO/IEC 15444-1 Table C.2)
+const QE_TABLE = [
+  [0x5601, 1, 1, 1],
+  [0x3401, 2, 6, 0],
+  [0x1801, 3, 9, 0],
+  [0x0ac1, 4, 12, 0],
+  [0x0521, 5, 29, 0],
+  [0x0221, 38, 33, 0],
+  [0x5601, 7, 6, 1],
+  [0x5401, 8, 14, 0],
+  [0x4801, 9, 14, 0],
+  [0x3801, 10, 14, 0],
+  [0x3001, 11, 17, 0],
+  [0x2401, 12, 18, 0],
+  [0x1c01, 13, 20, 0],
+  [0x1601, 29, 21, 0],
+  [0x5601, 15, 14, 1],
+  [0x5401, 16, 14, 0],
+  [0x5101, 17, 15, 0],
+  [0x4801, 18, 16, 0],
+  [0x3801, 19, 17, 0],
+  [0x3401, 20, 18, 0],
+  [0x3001, 21, 19, 0],
+  [0x2801, 22, 19, 0],
+  [0x2401, 23, 20, 0],
+  [0x2201, 24, 21, 0],
+  [0x1c01, 25, 22, 0],
+  [0x1801, 26, 23, 0],
+  [0x1601, 27, 24, 0],
+  [0x1401, 28, 25, 0],
+  [0x1201, 29, 26, 0],
+  [0x1101, 30, 27, 0],
+  [0x0ac1, 31, 28, 0],
+  [0x09c1, 32, 29, 0],
+  [0x08a1, 33, 30, 0],
+  [0x0521, 34, 31, 0],
+  [0x0441, 35, 32, 0],
+  [0x02a1, 36, 33, 0],
+  [0x0221, 37, 34, 0],
+  [0x0141, 38, 35, 0],
+  [0x0111, 39, 36, 0],
+  [0x0085, 40, 37, 0],
+  [0x0049, 41, 38, 0],
+  [0x0025, 42, 39, 0],
+  [0x0015, 43, 40, 0],
+  [0x0009, 44, 41, 0],
+  [0x0005, 45, 42, 0],
+  [0x0001, 45, 43, 0],
+  [0x5601, 46, 46, 0],
+];
+
+const NUM_CONTEXTS = 19;
+const CONTEXT_RUN_LENGTH = 17;
+const CONTEXT_UNIFORM = 18;
+
+const SIGNIFICANT = 1;
+const VISITED = 2;
+const REFINED = 4;
+
+const BAND_LL = 0;
+const BAND_HL = 1;
+const BAND_LH = 2;
+const BAND_HH = 3;
+
+// Zero coding contexts indexed by [h][v][d] (Table D.1)
+const ZERO_CONTEXT_LL_LH = buildZeroContextTable((h, v, d) => {
+  if (h === 2) return 8;
+  if (h === 1) return v >= 1 ? 7 : d >= 1 ? 6 : 5;
+  if (v === 2) return 4;
+  if (v === 1) return 3;
+  return d >= 2 ? 2 : d;
+});
+
+const ZERO_CONTEXT_HL = buildZeroContextTable(
+  (h, v, d) => ZERO_CONTEXT_LL_LH[v * 15 + h * 5 + d]
+);
+
+const ZERO_CONTEXT_HH = buildZeroContextTable((h, v, d) => {
+  const hv = h + v;
+  if (d >= 3) return 8;
+  if (d === 2) return hv >= 1 ? 7 : 6;
+  if (d === 1) return hv >= 2 ? 5 : hv === 1 ? 4 : 3;
+  return hv >= 2 ? 2 : hv;
+});
+
+// Sign coding context and XOR bit indexed by [h + 1][v + 1] (Table D.3)
+const SIGN_CONTEXT = [
+  [13, 12, 11],
+  [10, 9, 10],
+  [11, 12, 13],
+];
+const SIGN_XOR = [
+  [1, 1, 1],
+  [1, 0, 0],
+  [0, 0, 0],
+];
+
+const IRREVERSIBLE_ALPHA = -1.586134342059924;
+const IRREVERSIBLE_BETA = -0.052980118572961;
+const IRREVERSIBLE_GAMMA = 0.882911075530934;
+const IRREVERSIBLE_DELTA = 0.443506852043971;
+const IRREVERSIBLE_K = 1.230174104914001;
+
+function buildZeroContextTable(contextFor) {
+  const table = new Uint8Array(45);
+  for (let h = 0; h < 3; h++) {
+    for (let v = 0; v < 3; v++) {
+      for (let d = 0; d < 5; d++) {
+        table[h * 15 + v * 5 + d] = contextFor(h, v, d);
+      }
+    }
+  }
+  return table;
+}
+
+function readUint16(buffer, offset) {
+  return (buffer[offset] << 8) | buffer[offset + 1];
+}
+
+function readUint32(buffer, offset) {
+  return (
+    ((buffer[offset] << 24) |
+      (buffer[offset + 1] << 16) |
+      (buffer[offset + 2] << 8) |
+      buffer[offset + 3]) >>>
+    0
+  );
+}
+
+function unsupported(feature) {
+  return new Error(`Unsupported JPEG2000 feature: ${feature}`);
+}
+
+function findCodestream(buffer) {
+  if (readUint16(buffer, 0) === MARKER_SOC) {
+    return { start: 0, end: buffer.length };
+  }
+
+  // JP2 file format: walk the top-level boxes looking for "jp2c"
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    let length = readUint32(buffer, offset);
+    const type = String.fromCharCode(
+      ...buffer.subarray(offset + 4, offset + 8)
+    );
+    let headerLength = 8;
+
+    if (length === 1) {
+      length = Number(
+        (BigInt(readUint32(buffer, offset + 8)) << 32n) |
+          BigInt(readUint32(buffer, offset + 12))
+      );
+      headerLength = 16;
+    } else if (length === 0) {
+      length = buffer.length - offset;
+    }
+
+    if (type === "jp2c") {
+      return { start: offset + headerLength, end: offset + length };
+    }
+    if (length < headerLength) {
+      break;
+    }
+    offset += length;
+  }
+
+  throw new Error("Invalid JPEG2000 data: no codestream found");
+}
+
+function parseSiz(buffer, offset) {
+  const componentCount = readUint16(buffer, offset + 34);
+  const components = [];
+
+  for (let c = 0; c < componentCount; c++) {
+    const ssiz = buffer[offset + 36 + c * 3];
+    components.push({
+      precision: (ssiz & 0x7f) + 1,
+      signed: (ssiz & 0x80) !== 0,
+      dx: buffer[offset + 37 + c * 3],
+      dy: buffer[offset + 38 + c * 3],
+    });
+  }
+
+  return {
+    width: readUint32(buffer, offset + 2),
+    height: readUint32(buffer, offset + 6),
+    xOffset: readUint32(buffer, offset + 10),
+    yOffset: readUint32(buffer, offset + 14),
+    tileWidth: readUint32(buffer, offset + 18),
+    tileHeight: readUint32(buffer, offset + 22),
+    tileXOffset: readUint32(buffer, offset + 26),
+    tileYOffset: readUint32(buffer, offset + 30),
+    components,
+  };
+}
+
+function parseCodingStyle(buffer, offset, hasPrecincts) {
+  const decompositionLevels = buffer[offset];
+  const precincts = [];
+
+  for (let r = 0; r <= decompositionLevels; r++) {
+    if (hasPrecincts) {
+      const value = buffer[offset + 5 + r];
+      precincts.push({ ppx: value & 0x0f, ppy: value >> 4 });
+    } else {
+      precincts.push({ ppx: 15, ppy: 15 });
+    }
+  }
+
+  return {
+    decompositionLevels,
+    xcb: (buffer[offset + 1] & 0x0f) + 2,
+    ycb: (buffer[offset + 2] & 0x0f) + 2,
+    codeBlockStyle: buffer[offset + 3],
+    reversible: buffer[offset + 4] === 1,
+    precincts,
+  };
+}
+
+function parseCod(buffer, offset) {
+  const scod = buffer[offset];
+
+  return {
+    usesSop: (scod & 0x02) !== 0,
+    usesEph: (scod & 0x04) !== 0,
+    progressionOrder: buffer[offset + 1],
+    layers: readUint16(buffer, offset + 2),
+    multipleComponentTransform: buffer[offset + 4],
+    style: parseCodingStyle(buffer, offset + 5, (scod & 0x01) !== 0),
+  };
+}
+
+function parseQuantization(buffer, offset, length) {
+  const sqcd = buffer[offset];
+  const style = sqcd & 0x1f;
+  const stepSizes = [];
+
+  if (style === 0) {
+    for (let i = 1; i < length; i++) {
+      stepSizes.push({ exponent: buffer[offset + i] >> 3, mantissa: 0 });
+    }
+  } else {
+    for (let i = 1; i + 1 < length; i += 2) {
+      const value = readUint16(buffer, offset + i);
+      stepSizes.push({ exponent: value >> 11, mantissa: value & 0x7ff });
+    }
+  }
+
+  return { guardBits: sqcd >> 5, style, stepSizes };
+}
+
+function parseMarkerSegment(buffer, offset, marker, target, siz) {
+  const length = readUint16(buffer, offset + 2);
+  const content = offset + 4;
+  const componentBytes = siz && siz.components.length >= 257 ? 2 : 1;
+
+  switch (marker) {
+    case MARKER_COD:
+      target.cod = parseCod(buffer, content);
+      break;
+    case MARKER_COC: {
+      const component =
+        componentBytes === 2 ? readUint16(buffer, content) : buffer[content];
+      const scoc = buffer[content + componentBytes];
+      target.coc[component] = parseCodingStyle(
+        buffer,
+        content + componentBytes + 1,
+        (scoc & 0x01) !== 0
+      );
+      break;
+    }
+    case MARKER_QCD:
+      target.qcd = parseQuantization(buffer, content, length - 2);
+      break;
+    case MARKER_QCC: {
+      const component =
+        componentBytes === 2 ? readUint16(buffer, content) : buffer[content];
+      target.qcc[component] = parseQuantization(
+        buffer,
+        content + componentBytes,
+        length - 2 - componentBytes
+      );
+      break;
+    }
+    case MARKER_RGN:
+      throw unsupported("region of interest (RGN)");
+    case MARKER_POC:
+      throw unsupported("progression order change (POC)");
+    case MARKER_PPM:
+    case MARKER_PPT:
+      throw unsupported("packed packet headers (PPM/PPT)");
+    case MARKER_TLM:
+    case MARKER_PLM:
+    case MARKER_PLT:
+    case MARKER_CRG:
+    case MARKER_COM:
+      break;
+    default:
+      if ((marker & 0xff00) !== 0xff00) {
+        throw new Error(
+          `Invalid JPEG2000 codestream: expected marker at offset ${offset}`
+        );
+      }
+  }
+
+  return length;
+}
+
+function parseCodestream(buffer, start, end) {
+  if (readUint16(buffer, start) !== MARKER_SOC) {
+    throw new Error("Invalid JPEG2000 codestream: missing SOC marker");
+  }
+
+  const main = { siz: null, cod: null, coc: [], qcd: null, qcc: [] };
+  const tiles = new Map();
+  let offset = start + 2;
+
+  while (offset + 2 <= end) {
+    const marker = readUint16(buffer, offset);
+
+    if (marker === MARKER_EOC) {
+      break;
+    }
+
+    if (marker === MARKER_SIZ) {
+      main.siz = parseSiz(buffer, offset + 4);
+      offset += 2 + readUint16(buffer, offset + 2);
+      continue;
+    }
+
+    if (marker !== MARKER_SOT) {
+      offset += 2 + parseMarkerSegment(buffer, offset, marker, main, main.siz);
+      continue;
+    }
+
+    if (!main.siz || !main.cod || !main.qcd) {
+      throw new Error("Invalid JPEG2000 codestream: incomplete main header");
+    }
+
+    const tileIndex = readUint16(buffer, offset + 4);
+    const tilePartLength = readUint32(buffer, offset + 6);
+    let tilePartEnd = offset + tilePartLength;
+    if (tilePartLength === 0) {
+      tilePartEnd = readUint16(buffer, end - 2) === MARKER_EOC ? end - 2 : end;
+    }
+
+    let tile = tiles.get(tileIndex);
+    if (!tile) {
+      tile = {
+        index: tileIndex,
+        cod: null,
+        coc: [],
+        qcd: null,
+        qcc: [],
+        parts: [],
+      };
+      tiles.set(tileIndex, tile);
+    }
+
+    let headerOffset = offset + 2 + readUint16(buffer, offset + 2);
+    while (readUint16(buffer, headerOffset) !== MARKER_SOD) {
+      const headerMarker = readUint16(buffer, headerOffset);
+      headerOffset +=
+        2 +
+        parseMarkerSegment(buffer, headerOffset, headerMarker, tile, main.siz);
+      if (headerOffset >= tilePartEnd) {
+        throw new Error("Invalid JPEG2000 codestream: tile-part without SOD");
+      }
+    }
+
+    tile.parts.push(
+      buffer.subarray(headerOffset + 2, Math.min(tilePartEnd, end))
+    );
+    offset = tilePartEnd;
+  }
+
+  if (!main.siz) {
+    throw new Error("Invalid JPEG2000 codestream: missing SIZ marker");
+  }
+
+  return { main, tiles };
+}
+
+function concatParts(parts) {
+  if (parts.length === 1) {
+    return parts[0];
+  }
+
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const data = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return data;
+}
+
+function createTagTree(width, height) {
+  const levels = [];
+  let w = width;
+  let h = height;
+
+  while (true) {
+    levels.push({
+      width: w,
+      lower: new Int32Array(w * h),
+      known: new Uint8Array(w * h),
+    });
+    if (w === 1 && h === 1) break;
+    w = Math.ceil(w / 2);
+    h = Math.ceil(h / 2);
+  }
+
+  return levels;
+}
+
+/**
+ * Decode a tag tree leaf against a threshold. Returns the leaf value if it
+ * is below the threshold, otherwise -1.
+ */
+function decodeTagTree(levels, x, y, threshold, reader) {
+  let lower = 0;
+
+  for (let k = levels.length - 1; k >= 0; k--) {
+    const level = levels[k];
+    const index = (y >> k) * level.width + (x >> k);
+
+    if (level.lower[index] < lower) {
+      level.lower[index] = lower;
+    }
+    while (!level.known[index] && level.lower[index] < threshold) {
+      if (reader.readBits(1)) {
+        level.known[index] = 1;
+      } else {
+        level.lower[index]++;
+      }
+    }
+    lower = level.lower[index];
+  }
+
+  const leaf = levels[0];
+  const leafIndex = y * leaf.width + x;
+  return leaf.known[leafIndex] && leaf.lower[leafIndex] < threshold
+    ? leaf.lower[leafIndex]
+    : -1;
+}
+
+function createHeaderReader(data, position) {
+  let buffer = 0;
+  let bufferSize = 0;
+  let skipNextBit = false;
+
+  return {
+    get position() {
+      return position;
+    },
+
+    readBits(count) {
+      while (bufferSize < count) {
+        if (position >= data.length) {
+          throw new Error(
+            "Invalid JPEG2000 codestream: truncated packet header"
+          );
+        }
+        const byte = data[position++];
+        if (skipNextBit) {
+          buffer = (buffer << 7) | byte;
+          bufferSize += 7;
+        } else {
+          buffer = (buffer << 8) | byte;
+          bufferSize += 8;
+        }
+        skipNextBit = byte === 0xff;
+      }
+      bufferSize -= count;
+      const value = (buffer >>> bufferSize) & ((1 << count) - 1);
+      buffer &= (1 << bufferSize) - 1;
+      return value;
+    },
+
+    alignToByte() {
+      bufferSize = 0;
+      buffer = 0;
+      if (skipNextBit) {
+        position++;
+        skipNextBit = false;
+      }
+    },
+  };
+}
+
+function readCodingPasses(reader) {
+  if (reader.readBits(1) === 0) return 1;
+  if (reader.readBits(1) === 0) return 2;
+
+  let value = reader.readBits(2);
+  if (value < 3) return value + 3;
+
+  value = reader.readBits(5);
+  if (value < 31) return value + 6;
+
+  return reader.readBits(7) + 37;
+}
+
+function createMqDecoder(data, start, end) {
+  let position = start;
+  let chigh = start < end ? data[start] : 0xff;
+  let clow = 0;
+  let ct = 0;
+  let a = 0x8000;
+
+  function byteIn() {
+    if (position < end && data[position] === 0xff) {
+      const next = position + 1 < end ? data[position + 1] : 0xff;
+      if (next > 0x8f) {
+        clow += 0xff00;
+        ct = 8;
+      } else {
+        position++;
+        clow += data[position] << 9;
+        ct = 7;
+      }
+    } else {
+      position++;
+      clow += position < end ? data[position] << 8 : 0xff00;
+      ct = 8;
+    }
+    if (clow > 0xffff) {
+      chigh += clow >> 16;
+      clow &= 0xffff;
+    }
+  }
+
+  byteIn();
+  chigh = ((chigh << 7) & 0xffff) | ((clow >> 9) & 0x7f);
+  clow = (clow << 7) & 0xffff;
+  ct -= 7;
+
+  return {
+    readBit(contexts, cx) {
+      let index = contexts[cx] >> 1;
+      let mps = contexts[cx] & 1;
+      const entry = QE_TABLE[index];
+      const qe = entry[0];
+      let decision;
+      let interval = a - qe;
+
+      if (chigh < qe) {
+        if (interval < qe) {
+          interval = qe;
+          decision = mps;
+          index = entry[1];
+        } else {
+          interval = qe;
+          decision = 1 ^ mps;
+          if (entry[3] === 1) mps = decision;
+          index = entry[2];
+        }
+      } else {
+        chigh -= qe;
+        if ((interval & 0x8000) !== 0) {
+          a = interval;
+          return mps;
+        }
+        if (interval < qe) {
+          decision = 1 ^ mps;
+          if (entry[3] === 1) mps = decision;
+          index = entry[2];
+        } else {
+          decision = mps;
+          index = entry[1];
+        }
+      }
+
+      do {
+        if (ct === 0) byteIn();
+        interval <<= 1;
+        chigh = ((chigh << 1) & 0xffff) | ((clow >> 15) & 1);
+        clow = (clow << 1) & 0xffff;
+        ct--;
+      } while ((interval & 0x8000) === 0);
+
+      a = interval;
+      contexts[cx] = (index << 1) | mps;
+      return decision;
+    },
+  };
+}
+
+function resetContexts(contexts) {
+  contexts.fill(0);
+  contexts[0] = 4 << 1;
+  contexts[CONTEXT_RUN_LENGTH] = 3 << 1;
+  contexts[CONTEXT_UNIFORM] = 46 << 1;
+}
+
+function getTileGeometry(siz, tileIndex) {
+  const tilesX = Math.ceil((siz.width - siz.tileXOffset) / siz.tileWidth);
+  const p = tileIndex % tilesX;
+  const q = Math.floor(tileIndex / tilesX);
+
+  return {
+    x0: Math.max(siz.tileXOffset + p * siz.tileWidth, siz.xOffset),
+    x1: Math.min(siz.tileXOffset + (p + 1) * siz.tileWidth, siz.width),
+    y0: Math.max(siz.tileYOffset + q * siz.tileHeight, siz.yOffset),
+    y1: Math.min(siz.tileYOffset + (q + 1) * siz.tileHeight, siz.height),
+  };
+}
+
+function getBandQuantization(
+  quantization,
+  bandIndex,
+  levelsBelow,
+  decompositionLevels
+) {
+  if (quantization.style === 1) {
+    const base = quantization.stepSizes[0];
+    const nb = bandIndex === 0 ? decompositionLevels : levelsBelow;
+    return {
+      exponent: base.exponent - decompositionLevels + nb,
+      mantissa: base.mantissa,
+    };
+  }
+
+  const stepSize = quantization.stepSizes[bandIndex];
+  if (!stepSize) {
+    throw new Error(
+      "Invalid JPEG2000 codestream: missing quantization step size"
+    );
+  }
+  return stepSize;
+}
+
+function buildBand(
+  type,
+  resolution,
+  component,
+  style,
+  quantization,
+  bandIndex
+) {
+  const { decompositionLevels } = style;
+  const nb =
+    resolution.level === 0
+      ? decompositionLevels
+      : decompositionLevels - resolution.level + 1;
+  const xo = type === BAND_HL || type === BAND_HH ? 1 : 0;
+  const yo = type === BAND_LH || type === BAND_HH ? 1 : 0;
+  const shiftX = nb === 0 ? 0 : Math.pow(2, nb - 1) * xo;
+  const shiftY = nb === 0 ? 0 : Math.pow(2, nb - 1) * yo;
+  const scale = Math.pow(2, nb);
+
+  const x0 = Math.ceil((component.x0 - shiftX) / scale);
+  const x1 = Math.ceil((component.x1 - shiftX) / scale);
+  const y0 = Math.ceil((component.y0 - shiftY) / scale);
+  const y1 = Math.ceil((component.y1 - shiftY) / scale);
+
+  const { exponent, mantissa } = getBandQuantization(
+    quantization,
+    bandIndex,
+    nb,
+    decompositionLevels
+  );
+  const gain = type === BAND_LL ? 0 : type === BAND_HH ? 2 : 1;
+  const magnitudeBits = quantization.guardBits + exponent - 1;
+
+  return {
+    type,
+    x0,
+    x1,
+    y0,
+    y1,
+    width: x1 - x0,
+    height: y1 - y0,
+    magnitudeBits,
+    stepSize: style.reversible
+      ? 1
+      : Math.pow(2, component.precision + gain - exponent) *
+        (1 + mantissa / 2048),
+    coefficients: new Float32Array(Math.max(0, (x1 - x0) * (y1 - y0))),
+    codeblocks: [],
+  };
+}
+
+function buildTileComponent(
+  siz,
+  tileGeometry,
+  componentIndex,
+  style,
+  quantization
+) {
+  const { precision, signed, dx, dy } = siz.components[componentIndex];
+  const component = {
+    precision,
+    signed,
+    dx,
+    dy,
+    style,
+    x0: Math.ceil(tileGeometry.x0 / dx),
+    x1: Math.ceil(tileGeometry.x1 / dx),
+    y0: Math.ceil(tileGeometry.y0 / dy),
+    y1: Math.ceil(tileGeometry.y1 / dy),
+    resolutions: [],
+  };
+
+  const levels = style.decompositionLevels;
+  let bandIndex = 0;
+
+  for (let r = 0; r <= levels; r++) {
+    const scale = Math.pow(2, levels - r);
+    const { ppx, ppy } = style.precincts[r];
+    const resolution = {
+      level: r,
+      x0: Math.ceil(component.x0 / scale),
+      x1: Math.ceil(component.x1 / scale),
+      y0: Math.ceil(component.y0 / scale),
+      y1: Math.ceil(component.y1 / scale),
+      ppx,
+      ppy,
+      bands: [],
+      precincts: [],
+    };
+
+    const precinctX0 = Math.floor(resolution.x0 / Math.pow(2, ppx));
+    const precinctY0 = Math.floor(resolution.y0 / Math.pow(2, ppy));
+    resolution.precinctX0 = precinctX0;
+    resolution.precinctY0 = precinctY0;
+    resolution.precinctsWide =
+      resolution.x1 > resolution.x0
+        ? Math.ceil(resolution.x1 / Math.pow(2, ppx)) - precinctX0
+        : 0;
+    resolution.precinctsHigh =
+      resolution.y1 > resolution.y0
+        ? Math.ceil(resolution.y1 / Math.pow(2, ppy)) - precinctY0
+        : 0;
+
+    const types = r === 0 ? [BAND_LL] : [BAND_HL, BAND_LH, BAND_HH];
+    for (const type of types) {
+      resolution.bands.push(
+        buildBand(type, resolution, component, style, quantization, bandIndex++)
+      );
+    }
+
+    const bandPpx = r === 0 ? ppx : ppx - 1;
+    const bandPpy = r === 0 ? ppy : ppy - 1;
+    const cbWidth = Math.pow(2, Math.min(style.xcb, bandPpx));
+    const cbHeight = Math.pow(2, Math.min(style.ycb, bandPpy));
+    const precinctWidth = Math.pow(2, bandPpx);
+    const precinctHeight = Math.pow(2, bandPpy);
+
+    for (let py = 0; py < resolution.precinctsHigh; py++) {
+      for (let px = 0; px < resolution.precinctsWide; px++) {
+        const precinct = { bands: [] };
+
+        for (const band of resolution.bands) {
+          const regionX0 = Math.max(band.x0, (precinctX0 + px) * precinctWidth);
+          const regionX1 = Math.min(
+            band.x1,
+            (precinctX0 + px + 1) * precinctWidth
+          );
+          const regionY0 = Math.max(
+            band.y0,
+            (precinctY0 + py) * precinctHeight
+          );
+          const regionY1 = Math.min(
+            band.y1,
+            (precinctY0 + py + 1) * precinctHeight
+          );
+
+          if (regionX1 <= regionX0 || regionY1 <= regionY0) {
+            continue;
+          }
+
+          const cbx0 = Math.floor(regionX0 / cbWidth);
+          const cbx1 = Math.ceil(regionX1 / cbWidth);
+          const cby0 = Math.floor(regionY0 / cbHeight);
+          const cby1 = Math.ceil(regionY1 / cbHeight);
+          const gridWidth = cbx1 - cbx0;
+          const gridHeight = cby1 - cby0;
+          const codeblocks = [];
+
+          for (let j = cby0; j < cby1; j++) {
+            for (let i = cbx0; i < cbx1; i++) {
+              const codeblock = {
+                x0: Math.max(regionX0, i * cbWidth),
+                x1: Math.min(regionX1, (i + 1) * cbWidth),
+                y0: Math.max(regionY0, j * cbHeight),
+                y1: Math.min(regionY1, (j + 1) * cbHeight),
+                included: false,
+                lblock: 3,
+                zeroBitPlanes: 0,
+                passes: 0,
+                segments: [],
+              };
+              codeblocks.push(codeblock);
+              band.codeblocks.push(codeblock);
+            }
+          }
+
+          precinct.bands.push({
+            codeblocks,
+            gridWidth,
+            inclusionTree: createTagTree(gridWidth, gridHeight),
+            zeroBitPlaneTree: createTagTree(gridWidth, gridHeight),
+          });
+        }
+
+        resolution.precincts.push(precinct);
+      }
+    }
+
+    component.resolutions.push(resolution);
+  }
+
+  return component;
+}
+
+function readPacket(stream, precinct, layer, cod, codeBlockStyle) {
+  const { data } = stream;
+
+  if (
+    cod.usesSop &&
+    stream.position + 1 < data.length &&
+    readUint16(data, stream.position) === MARKER_SOP
+  ) {
+    stream.position += 6;
+  }
+
+  const reader = createHeaderReader(data, stream.position);
+  const contributions = [];
+
+  if (reader.readBits(1)) {
+    for (const entry of precinct.bands) {
+      for (let i = 0; i < entry.codeblocks.length; i++) {
+        const codeblock = entry.codeblocks[i];
+        let included;
+
+        if (!codeblock.included) {
+          const x = i % entry.gridWidth;
+          const y = Math.floor(i / entry.gridWidth);
+          included =
+            decodeTagTree(entry.inclusionTree, x, y, layer + 1, reader) !== -1;
+          if (included) {
+            codeblock.zeroBitPlanes = decodeTagTree(
+              entry.zeroBitPlaneTree,
+              x,
+              y,
+              Infinity,
+              reader
+            );
+            codeblock.included = true;
+          }
+        } else {
+          included = reader.readBits(1) === 1;
+        }
+
+        if (!included) {
+          continue;
+        }
+
+        const passes = readCodingPasses(reader);
+        while (reader.readBits(1)) {
+          codeblock.lblock++;
+        }
+
+        const lengths = [];
+        if (codeBlockStyle & CODEBLOCK_TERMINATE_ALL) {
+          for (let p = 0; p < passes; p++) {
+            lengths.push(reader.readBits(codeblock.lblock));
+          }
+        } else {
+          lengths.push(
+            reader.readBits(codeblock.lblock + Math.floor(Math.log2(passes)))
+          );
+        }
+
+        contributions.push({ codeblock, passes, lengths });
+      }
+    }
+  }
+
+  reader.alignToByte();
+  stream.position = reader.position;
+
+  if (
+    cod.usesEph &&
+    stream.position + 1 < data.length &&
+    readUint16(data, stream.position) === MARKER_EPH
+  ) {
+    stream.position += 2;
+  }
+
+  for (const { codeblock, passes, lengths } of contributions) {
+    const terminateAll =
+      lengths.length > 1 || codeBlockStyle & CODEBLOCK_TERMINATE_ALL;
+
+    for (const length of lengths) {
+      const chunk = data.subarray(stream.position, stream.position + length);
+      stream.position += length;
+
+      const last = codeblock.segments[codeblock.segments.length - 1];
+      if (terminateAll || !last) {
+        codeblock.segments.push({
+          chunks: [chunk],
+          passes: terminateAll ? 1 : passes,
+        });
+      } else {
+        last.chunks.push(chunk);
+        last.passes += passes;
+      }
+    }
+
+    codeblock.passes += passes;
+  }
+}
+
+function* positionsInTile(tileGeometry, components) {
+  const xs = new Set([tileGeometry.x0]);
+  const ys = new Set([tileGeometry.y0]);
+
+  for (const component of components) {
+    for (const resolution of component.resolutions) {
+      const levelScale = Math.pow(
+        2,
+        component.style.decompositionLevels - resolution.level
+      );
+      const stepX = component.dx * levelScale * Math.pow(2, resolution.ppx);
+      const stepY = component.dy * levelScale * Math.pow(2, resolution.ppy);
+      for (
+        let x = Math.ceil(tileGeometry.x0 / stepX) * stepX;
+        x < tileGeometry.x1;
+        x += stepX
+      ) {
+        xs.add(x);
+      }
+      for (
+        let y = Math.ceil(tileGeometry.y0 / stepY) * stepY;
+        y < tileGeometry.y1;
+        y += stepY
+      ) {
+        ys.add(y);
+      }
+    }
+  }
+
+  const sortedX = [...xs].sort((a, b) => a - b);
+  const sortedY = [...ys].sort((a, b) => a - b);
+  for (const y of sortedY) {
+    for (const x of sortedX) {
+      yield [x, y];
+    }
+  }
+}
+
+/**
+ * Map a tile position to the precinct of a resolution that starts there
+ * (ISO/IEC 15444-1 B.12.1.3), or -1 if no precinct starts at (x, y).
+ */
+function precinctAt(component, resolution, tileGeometry, x, y) {
+  if (resolution.precincts.length === 0) {
+    return -1;
+  }
+
+  const levelScale = Math.pow(
+    2,
+    component.style.decompositionLevels - resolution.level
+  );
+  const precinctScaleX = Math.pow(2, resolution.ppx);
+  const precinctScaleY = Math.pow(2, resolution.ppy);
+
+  const alignedX =
+    x % (component.dx * levelScale * precinctScaleX) === 0 ||
+    (x === tileGeometry.x0 &&
+      (resolution.x0 * levelScale) % (levelScale * precinctScaleX) !== 0);
+  const alignedY =
+    y % (component.dy * levelScale * precinctScaleY) === 0 ||
+    (y === tileGeometry.y0 &&
+      (resolution.y0 * levelScale) % (levelScale * precinctScaleY) !== 0);
+
+  if (!alignedX || !alignedY) {
+    return -1;
+  }
+
+  const px =
+    Math.floor(Math.ceil(x / (component.dx * levelScale)) / precinctScaleX) -
+    resolution.precinctX0;
+  const py =
+    Math.floor(Math.ceil(y / (component.dy * levelScale)) / precinctScaleY) -
+    resolution.precinctY0;
+
+  if (
+    px < 0 ||
+    py < 0 ||
+    px >= resolution.precinctsWide ||
+    py >= resolution.precinctsHigh
+  ) {
+    return -1;
+  }
+  return py * resolution.precinctsWide + px;
+}
+
+function* packetSequence(cod, components, tileGeometry) {
+  const { layers, progressionOrder } = cod;
+  const maxLevels = Math.max(
+    ...components.map((component) => component.style.decompositionLevels)
+  );
+
+  switch (progressionOrder) {
+    case PROGRESSION_LRCP:
+      for (let l = 0; l < layers; l++) {
+        for (let r = 0; r <= maxLevels; r++) {
+          for (let c = 0; c < components.length; c++) {
+            const resolution = components[c].resolutions[r];
+            if (!resolution) continue;
+            for (let k = 0; k < resolution.precincts.length; k++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      break;
+
+    case PROGRESSION_RLCP:
+      for (let r = 0; r <= maxLevels; r++) {
+        for (let l = 0; l < layers; l++) {
+          for (let c = 0; c < components.length; c++) {
+            const resolution = components[c].resolutions[r];
+            if (!resolution) continue;
+            for (let k = 0; k < resolution.precincts.length; k++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      break;
+
+    case PROGRESSION_RPCL:
+      for (let r = 0; r <= maxLevels; r++) {
+        for (const [x, y] of positionsInTile(tileGeometry, components)) {
+          for (let c = 0; c < components.length; c++) {
+            const resolution = components[c].resolutions[r];
+            if (!resolution) continue;
+            const k = precinctAt(components[c], resolution, tileGeometry, x, y);
+            if (k === -1) continue;
+            for (let l = 0; l < layers; l++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      break;
+
+    case PROGRESSION_PCRL:
+      for (const [x, y] of positionsInTile(tileGeometry, components)) {
+        for (let c = 0; c < components.length; c++) {
+          for (const resolution of components[c].resolutions) {
+            const k = precinctAt(components[c], resolution, tileGeometry, x, y);
+            if (k === -1) continue;
+            for (let l = 0; l < layers; l++) {
+              yield [l, resolution.level, c, k];
+            }
+          }
+        }
+      }
+      break;
+
+    case PROGRESSION_CPRL:
+      for (let c = 0; c < components.length; c++) {
+        for (const [x, y] of positionsInTile(tileGeometry, [components[c]])) {
+          for (const resolution of components[c].resolutions) {
+            const k = precinctAt(components[c], resolution, tileGeometry, x, y);
+            if (k === -1) continue;
+            for (let l = 0; l < layers; l++) {
+              yield [l, resolution.level, c, k];
+            }
+          }
+        }
+      }
+      break;
+
+    default:
+      throw unsupported(`progression order ${progressionOrder}`);
+  }
+}
+
+function decodeCodeblock(codeblock, band, style, contexts) {
+  const width = codeblock.x1 - codeblock.x0;
+  const height = codeblock.y1 - codeblock.y0;
+  const bitplanes = band.magnitudeBits - codeblock.zeroBitPlanes;
+
+  if (codeblock.passes === 0 || bitplanes <= 0) {
+    return;
+  }
+  if (bitplanes > 31) {
+    throw unsupported(`${bitplanes} magnitude bit-planes`);
+  }
+  if (style.codeBlockStyle & CODEBLOCK_BYPASS) {
+    throw unsupported("selective arithmetic coding bypass");
+  }
+
+  const codeBlockStyle = style.codeBlockStyle;
+  const causal = (codeBlockStyle & CODEBLOCK_VERTICALLY_CAUSAL) !== 0;
+  const zeroContext =
+    band.type === BAND_HH
+      ? ZERO_CONTEXT_HH
+      : band.type === BAND_HL
+        ? ZERO_CONTEXT_HL
+        : ZERO_CONTEXT_LL_LH;
+
+  // Flags and signs use a one-sample border so neighbour lookups never
+  // need bounds checks.
+  const stride = width + 2;
+  const flags = new Uint8Array(stride * (height + 2));
+  const signs = new Uint8Array(stride * (height + 2));
+  const magnitudes = new Uint32Array(width * height);
+
+  let decoder = null;
+  let segmentIndex = 0;
+  let passesLeftInSegment = 0;
+
+  function nextSegment() {
+    const segment = codeblock.segments[segmentIndex++];
+    const data = concatParts(segment.chunks);
+    decoder = createMqDecoder(data, 0, data.length);
+    passesLeftInSegment = segment.passes;
+  }
+
+  function neighbourCounts(index, y) {
+    const skipBelow = causal && (y & 3) === 3;
+    const below = skipBelow ? 0 : 1;
+    const h =
+      (flags[index - 1] & SIGNIFICANT) + (flags[index + 1] & SIGNIFICANT);
+    const v =
+      (flags[index - stride] & SIGNIFICANT) +
+      (flags[index + stride] & SIGNIFICANT) * below;
+    const d =
+      (flags[index - stride - 1] & SIGNIFICANT) +
+      (flags[index - stride + 1] & SIGNIFICANT) +
+      ((flags[index + stride - 1] & SIGNIFICANT) +
+        (flags[index + stride + 1] & SIGNIFICANT)) *
+        below;
+    return h * 15 + v * 5 + d;
+  }
+
+  function signContribution(index) {
+    if (!(flags[index] & SIGNIFICANT)) return 0;
+    return signs[index] ? -1 : 1;
+  }
+
+  function decodeSign(index, y) {
+    const skipBelow = causal && (y & 3) === 3;
+    const h = Math.max(
+      -1,
+      Math.min(1, signContribution(index - 1) + signContribution(index + 1))
+    );
+    const v = Math.max(
+      -1,
+      Math.min(
+        1,
+        signContribution(index - stride) +
+          (skipBelow ? 0 : signContribution(index + stride))
+      )
+    );
+    const bit = decoder.readBit(contexts, SIGN_CONTEXT[h + 1][v + 1]);
+    return bit ^ SIGN_XOR[h + 1][v + 1];
+  }
+
+  function becomeSignificant(x, y, index, plane) {
+    signs[index] = decodeSign(index, y);
+    flags[index] |= SIGNIFICANT;
+    magnitudes[y * width + x] |= 1 << plane;
+  }
+
+  function significancePass(plane) {
+    for (let y0 = 0; y0 < height; y0 += 4) {
+      const yEnd = Math.min(y0 + 4, height);
+      for (let x = 0; x < width; x++) {
+        for (let y = y0; y < yEnd; y++) {
+          const index = (y + 1) * stride + x + 1;
+          if (flags[index] & SIGNIFICANT) continue;
+          const neighbours = neighbourCounts(index, y);
+          if (neighbours === 0) continue;
+          if (decoder.readBit(contexts, zeroContext[neighbours])) {
+            becomeSignificant(x, y, index, plane);
+          }
+          flags[index] |= VISITED;
+        }
+      }
+    }
+  }
+
+  function refinementPass(plane) {
+    for (let y0 = 0; y0 < height; y0 += 4) {
+      const yEnd = Math.min(y0 + 4, height);
+      for (let x = 0; x < width; x++) {
+        for (let y = y0; y < yEnd; y++) {
+          const index = (y + 1) * stride + x + 1;
+          if ((flags[index] & (SIGNIFICANT | VISITED)) !== SIGNIFICANT)
+            continue;
+          const context =
+            flags[index] & REFINED
+              ? 16
+              : neighbourCounts(index, y) !== 0
+                ? 15
+                : 14;
+          if (decoder.readBit(contexts, context)) {
+            magnitudes[y * width + x] |= 1 << plane;
+          }
+          flags[index] |= REFINED;
+        }
+      }
+    }
+  }
+
+  function cleanupPass(plane) {
+    for (let y0 = 0; y0 < height; y0 += 4) {
+      const yEnd = Math.min(y0 + 4, height);
+      for (let x = 0; x < width; x++) {
+        let y = y0;
+
+        if (yEnd - y0 === 4) {
+          let runLength = true;
+          for (let k = 0; k < 4 && runLength; k++) {
+            const index = (y0 + k + 1) * stride + x + 1;
+            runLength =
+              flags[index] === 0 && neighbourCounts(index, y0 + k) === 0;
+          }
+
+          if (runLength) {
+            if (!decoder.readBit(contexts, CONTEXT_RUN_LENGTH)) {
+              continue;
+            }
+            const offset =
+              (decoder.readBit(contexts, CONTEXT_UNIFORM) << 1) |
+              decoder.readBit(contexts, CONTEXT_UNIFORM);
+            y = y0 + offset;
+            becomeSignificant(x, y, (y + 1) * stride + x + 1, plane);
+            y++;
+          }
+        }
+
+        for (; y < yEnd; y++) {
+          const index = (y + 1) * stride + x + 1;
+          if (flags[index] & (SIGNIFICANT | VISITED)) continue;
+          if (
+            decoder.readBit(contexts, zeroContext[neighbourCounts(index, y)])
+          ) {
+            becomeSignificant(x, y, index, plane);
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < flags.length; i++) {
+      flags[i] &= ~VISITED;
+    }
+
+    if (codeBlockStyle & CODEBLOCK_SEGMENTATION) {
+      for (let k = 0; k < 4; k++) {
+        decoder.readBit(contexts, CONTEXT_UNIFORM);
+      }
+    }
+  }
+
+  resetContexts(contexts);
+
+  let plane = bitplanes - 1;
+  let passType = 2;
+  let lastPlane = plane;
+
+  for (let pass = 0; pass < codeblock.passes; pass++) {
+    if (passesLeftInSegment === 0) {
+      if (segmentIndex >= codeblock.segments.length) break;
+      nextSegment();
+    }
+
+    if (passType === 0) {
+      significancePass(plane);
+    } else if (passType === 1) {
+      refinementPass(plane);
+    } else {
+      cleanupPass(plane);
+    }
+    lastPlane = plane;
+    passesLeftInSegment--;
+
+    if (codeBlockStyle & CODEBLOCK_RESET) {
+      resetContexts(contexts);
+    }
+
+    passType = (passType + 1) % 3;
+    if (passType === 0) {
+      plane--;
+      if (plane < 0) break;
+    }
+  }
+
+  // Reconstruct at the midpoint of the undecoded bit-planes
+  const bias = style.reversible
+    ? lastPlane > 0
+      ? Math.pow(2, lastPlane - 1)
+      : 0
+    : Math.pow(2, lastPlane) / 2;
+  const { coefficients, stepSize } = band;
+
+  for (let y = 0; y < height; y++) {
+    const row =
+      (codeblock.y0 - band.y0 + y) * band.width + codeblock.x0 - band.x0;
+    for (let x = 0; x < width; x++) {
+      const magnitude = magnitudes[y * width + x];
+      if (magnitude === 0) continue;
+      const value = (magnitude + bias) * stepSize;
+      coefficients[row + x] = signs[(y + 1) * stride + x + 1] ? -value : value;
+    }
+  }
+}
+
+function symmetricIndex(index, length) {
+  if (length === 1) return 0;
+  const period = 2 * (length - 1);
+  let i = ((index % period) + period) % period;
+  return i >= length ? period - i : i;
+}
+
+/**
+ * One-dimensional inverse DWT (ISO/IEC 15444-1 F.3.6) over interleaved
+ * samples; `parity` is the parity of the first sample's absolute coordinate.
+ */
+function synthesize1D(samples, length, parity, reversible, work) {
+  if (length === 1) {
+    if (parity === 1) {
+      samples[0] = reversible ? Math.trunc(samples[0] / 2) : samples[0] / 2;
+    }
+    return;
+  }
+
+  const pad = reversible ? 2 : 4;
+  for (let i = -pad; i < length + pad; i++) {
+    work[i + pad] = samples[symmetricIndex(i, length)];
+  }
+
+  // work[i + pad] holds the sample at relative position i; low-pass samples
+  // sit where (i + parity) is even.
+  const firstLow = (start) =>
+    ((start + parity) & 1) === 0 ? start : start + 1;
+  const firstHigh = (start) =>
+    ((start + parity) & 1) === 1 ? start : start + 1;
+
+  if (reversible) {
+    for (let i = firstLow(-1); i < length + 1; i += 2) {
+      work[i + pad] -= Math.floor(
+        (work[i + pad - 1] + work[i + pad + 1] + 2) / 4
+      );
+    }
+    for (let i = firstHigh(0); i < length; i += 2) {
+      work[i + pad] += Math.floor((work[i + pad - 1] + work[i + pad + 1]) / 2);
+    }
+  } else {
+    for (let i = -pad; i < length + pad; i++) {
+      work[i + pad] *=
+        ((i + parity) & 1) === 0 ? IRREVERSIBLE_K : 1 / IRREVERSIBLE_K;
+    }
+    for (let i = firstLow(-3); i < length + 3; i += 2) {
+      work[i + pad] -=
+        IRREVERSIBLE_DELTA * (work[i + pad - 1] + work[i + pad + 1]);
+    }
+    for (let i = firstHigh(-2); i < length + 2; i += 2) {
+      work[i + pad] -=
+        IRREVERSIBLE_GAMMA * (work[i + pad - 1] + work[i + pad + 1]);
+    }
+    for (let i = firstLow(-1); i < length + 1; i += 2) {
+      work[i + pad] -=
+        IRREVERSIBLE_BETA * (work[i + pad - 1] + work[i + pad + 1]);
+    }
+    for (let i = firstHigh(0); i < length; i += 2) {
+      work[i + pad] -=
+        IRREVERSIBLE_ALPHA * (work[i + pad - 1] + work[i + pad + 1]);
+    }
+  }
+
+  for (let i = 0; i < length; i++) {
+    samples[i] = work[i + pad];
+  }
+}
+
+function reconstructTileComponent(component) {
+  const { reversible } = component.style;
+  const lowest = component.resolutions[0];
+  let current = Float64Array.from(lowest.bands[0].coefficients);
+
+  for (let r = 1; r < component.resolutions.length; r++) {
+    const resolution = component.resolutions[r];
+    const [hl, lh, hh] = resolution.bands;
+    const width = resolution.x1 - resolution.x0;
+    const height = resolution.y1 - resolution.y0;
+    const parityX = resolution.x0 & 1;
+    const parityY = resolution.y0 & 1;
+    const lowWidth =
+      Math.ceil(resolution.x1 / 2) - Math.ceil(resolution.x0 / 2);
+    const output = new Float64Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const highY = ((y + parityY) & 1) === 1;
+      const bandY = ((y + parityY) >> 1) - (highY ? 0 : parityY);
+      for (let x = 0; x < width; x++) {
+        const highX = ((x + parityX) & 1) === 1;
+        const bandX = ((x + parityX) >> 1) - (highX ? 0 : parityX);
+        let value;
+        if (!highX && !highY) value = current[bandY * lowWidth + bandX];
+        else if (highX && !highY)
+          value = hl.coefficients[bandY * hl.width + bandX];
+        else if (!highX && highY)
+          value = lh.coefficients[bandY * lh.width + bandX];
+        else value = hh.coefficients[bandY * hh.width + bandX];
+        output[y * width + x] = value;
+      }
+    }
+
+    const line = new Float64Array(Math.max(width, height));
+    const work = new Float64Array(Math.max(width, height) + 8);
+
+    for (let y = 0; y < height; y++) {
+      const row = output.subarray(y * width, (y + 1) * width);
+      synthesize1D(row, width, parityX, reversible, work);
+    }
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        line[y] = output[y * width + x];
+      }
+      synthesize1D(line, height, parityY, reversible, work);
+      for (let y = 0; y < height; y++) {
+        output[y * width + x] = line[y];
+      }
+    }
+
+    current = output;
+  }
+
+  return current;
+}
+
+function applyInverseComponentTransform(samples, reversible) {
+  const [y0, y1, y2] = samples;
+
+  for (let i = 0; i < y0.length; i++) {
+    if (reversible) {
+      const g = y0[i] - Math.floor((y2[i] + y1[i]) / 4);
+      const r = y2[i] + g;
+      const b = y1[i] + g;
+      y0[i] = r;
+      y1[i] = g;
+      y2[i] = b;
+    } else {
+      const r = y0[i] + 1.402 * y2[i];
+      const g = y0[i] - 0.34413 * y1[i] - 0.71414 * y2[i];
+      const b = y0[i] + 1.772 * y1[i];
+      y0[i] = r;
+      y1[i] = g;
+      y2[i] = b;
+    }
+  }
+}
+
+function decodeTile(siz, main, tile) {
+  const cod = tile.cod || main.cod;
+  const tileGeometry = getTileGeometry(siz, tile.index);
+
+  const components = siz.components.map((_, c) => {
+    const style =
+      tile.coc[c] || tile.cod?.style || main.coc[c] || main.cod.style;
+    const quantization = tile.qcc[c] || tile.qcd || main.qcc[c] || main.qcd;
+    return buildTileComponent(siz, tileGeometry, c, style, quantization);
+  });
+
+  const stream = { data: concatParts(tile.parts), position: 0 };
+
+  for (const [l, r, c, k] of packetSequence(cod, components, tileGeometry)) {
+    if (stream.position >= stream.data.length) break;
+    const component = components[c];
+    readPacket(
+      stream,
+      component.resolutions[r].precincts[k],
+      l,
+      cod,
+      component.style.codeBlockStyle
+    );
+  }
+
+  const contexts = new Uint8Array(NUM_CONTEXTS);
+  const samples = components.map((component) => {
+    for (const resolution of component.resolutions) {
+      for (const band of resolution.bands) {
+        for (const codeblock of band.codeblocks) {
+          decodeCodeblock(codeblock, band, component.style, contexts);
+        }
+      }
+    }
+    return reconstructTileComponent(component);
+  });
+
+  if (cod.multipleComponentTransform === 1 && components.length >= 3) {
+    applyInverseComponentTransform(samples, components[0].style.reversible);
+  }
+
+  return { components, samples };
+}
+
+/**
+ * Decode a JPEG2000 codestream (or JP2 file) into integer sample planes.
+ * Returns { width, height, components: [{ precision, signed, width, height,
+ * data }] } with samples in raster order.
+ */
+export function decodeJpeg2000(buffer) {
+  const { start, end } = findCodestream(buffer);
+  const { main, tiles } = parseCodestream(buffer, start, end);
+  const { siz } = main;
+
+  const output = siz.components.map(({ precision, signed, dx, dy }) => {
+    const width = Math.ceil(siz.width / dx) - Math.ceil(siz.xOffset / dx);
+    const height = Math.ceil(siz.height / dy) - Math.ceil(siz.yOffset / dy);
+    return {
+      precision,
+      signed,
+      width,
+      height,
+      data: signed
+        ? new Int32Array(width * height)
+        : new Uint32Array(width * height),
+    };
+  });
+
+  for (const tile of tiles.values()) {
+    const { components, samples } = decodeTile(siz, main, tile);
+
+    components.forEach((component, c) => {
+      const target = output[c];
+      const shift = component.signed ? 0 : Math.pow(2, component.precision - 1);
+      const min = component.signed ? -Math.pow(2, component.precision - 1) : 0;
+      const max = component.signed
+        ? Math.pow(2, component.precision - 1) - 1
+        : Math.pow(2, component.precision) - 1;
+      const width = component.x1 - component.x0;
+      const originX = component.x0 - Math.ceil(siz.xOffset / component.dx);
+      const originY = component.y0 - Math.ceil(siz.yOffset / component.dy);
+      const source = samples[c];
+
+      for (let y = 0; y < component.y1 - component.y0; y++) {
+        const row = (originY + y) * target.width + originX;
+        for (let x = 0; x < width; x++) {
+          const value = Math.round(source[y * width + x] + shift);
+          target.data[row + x] = Math.min(max, Math.max(min, value));
+        }
+      }
+    });
+  }
+
+  return {
+    width: siz.width - siz.xOffset,
+    height: siz.height - siz.yOffset,
+    components: output,
+  };
+}
@@ -0,0 +1,183 @@
+// Tags and types from the NetCDF classic format specification
+const NC_DIMENSION = 0x0a;
+const NC_VARIABLE = 0x0b;
+const NC_ATTRIBUTE = 0x0c;
+
+const NC_TYPES = {
+  char: { code: 2, size: 1 },
+  int: {
+    code: 4,
+    size: 4,
+    write: (buffer, value, at) => buffer.writeInt32BE(value, at),
+  },
+  float: {
+    code: 5,
+    size: 4,
+    write: (buffer, value, at) => buffer.writeFloatBE(value, at),
+  },
+  double: {
+    code: 6,
+    size: 8,
+    write: (buffer, value, at) => buffer.writeDoubleBE(value, at),
+  },
+};
+
+function padded(size) {
+  return Math.ceil(size / 4) * 4;
+}
+
+// NetCDF type of an attribute value: strings are text, typed arrays keep
+// their type and plain numbers are doubles
+function attributeType(value) {
+  if (typeof value === "string") return "char";
+  if (value instanceof Int32Array) return "int";
+  if (value instanceof Float32Array) return "float";
+  return "double";
+}
+
+// Writes big-endian header fields into a buffer that grows as needed
+function createWriter() {
+  let buffer = Buffer.alloc(1024);
+  let length = 0;
+
+  const reserve = (size) => {
+    if (length + size > buffer.length) {
+      const grown = Buffer.alloc(Math.max(buffer.length * 2, length + size));
+      buffer.copy(grown, 0, 0, length);
+      buffer = grown;
+    }
+    const at = length;
+    length += size;
+    return at;
+  };
+
+  return {
+    int(value) {
+      buffer.writeInt32BE(value, reserve(4));
+    },
+    name(text) {
+      const bytes = Buffer.from(text, "utf8");
+      this.int(bytes.length);
+      bytes.copy(buffer, reserve(padded(bytes.length)));
+    },
+    values(type, values) {
+      if (type === "char") {
+        const bytes = Buffer.from(values, "utf8");
+        bytes.copy(buffer, reserve(padded(bytes.length)));
+        return;
+      }
+      const { size, write } = NC_TYPES[type];
+      const at = reserve(padded(values.length * size));
+      values.forEach((value, k) => write(buffer, value, at + k * size));
+    },
+    reserve,
+    get buffer() {
+      return buffer.subarray(0, length);
+    },
+  };
+}
+
+function writeAttributes(writer, attributes) {
+  const entries = Object.entries(attributes).filter(
+    ([, value]) => value !== null && value !== undefined
+  );
+  if (entries.length === 0) {
+    // ABSENT
+    writer.int(0);
+    writer.int(0);
+    return;
+  }
+
+  writer.int(NC_ATTRIBUTE);
+  writer.int(entries.length);
+  for (const [name, value] of entries) {
+    const type = attributeType(value);
+    const values =
+      typeof value === "string" || typeof value === "object" ? value : [value];
+    writer.name(name);
+    writer.int(NC_TYPES[type].code);
+    writer.int(
+      type === "char" ? Buffer.byteLength(value, "utf8") : values.length
+    );
+    writer.values(type, values);
+  }
+}
+
+/**
+ * Encode a NetCDF classic (CDF-1) file. `dimensions` are { name, size },
+ * each of `variables` is { name, type ("char", "int", "float" or
+ * "double"), dimensions (names, slowest varying first), attributes, data }
+ * and `attributes` are global. Attribute values are strings, numbers
+ * (written as doubles) or typed arrays, which keep their type.
+ */
+export function encodeNetcdf({ dimensions, variables, attributes = {} }) {
+  const dimensionIds = new Map(
+    dimensions.map((dimension, id) => [dimension.name, id])
+  );
+  const dimensionSizes = new Map(
+    dimensions.map((dimension) => [dimension.name, dimension.size])
+  );
+
+  const writer = createWriter();
+  writer.values("char", "CDF\x01");
+  // No record dimension, so no records
+  writer.int(0);
+
+  writer.int(NC_DIMENSION);
+  writer.int(dimensions.length);
+  for (const { name, size } of dimensions) {
+    writer.name(name);
+    writer.int(size);
+  }
+
+  writeAttributes(writer, attributes);
+
+  // Each variable's data offset is only known once the header is done, so
+  // remember where to write it
+  writer.int(NC_VARIABLE);
+  writer.int(variables.length);
+  const layout = variables.map((variable) => {
+    const count = variable.dimensions.reduce(
+      (total, name) => total * dimensionSizes.get(name),
+      1
+    );
+    if (variable.data.length !== count) {
+      throw new Error(
+        `NetCDF variable ${variable.name} has ${variable.data.length} values, expected ${count}`
+      );
+    }
+    const size = padded(count * NC_TYPES[variable.type].size);
+
+    writer.name(variable.name);
+    writer.int(variable.dimensions.length);
+    variable.dimensions.forEach((name) => writer.int(dimensionIds.get(name)));
+    writeAttributes(writer, variable.attributes || {});
+    writer.int(NC_TYPES[variable.type].code);
+    writer.int(size);
+    return { variable, size, beginAt: writer.reserve(4) };
+  });
+
+  const header = writer.buffer;
+  let offset = header.length;
+  const data = layout.map(({ variable, size, beginAt }) => {
+    if (offset > 2 ** 31 - 1) {
+      throw new Error("NetCDF classic files are limited to 2 GB");
+    }
+    header.writeInt32BE(offset, beginAt);
+    offset += size;
+
+    const { type } = variable;
+    const bytes = Buffer.alloc(size);
+    if (type === "char") {
+      Buffer.from(variable.data, "utf8").copy(bytes);
+    } else {
+      const { size: typeSize, write } = NC_TYPES[type];
+      for (let k = 0; k < variable.data.length; k++) {
+        write(bytes, variable.data[k], k * typeSize);
+      }
+    }
+    return bytes;
+  });
+
+  return Buffer.concat([header, ...data]);
+}
@@ -0,0 +1,293 @@
+import { deflateSync, inflateSync } from "zlib";
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function writeChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "ascii");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(
+    crc32(chunk.subarray(4, 8 + data.length)),
+    8 + data.length
+  );
+  return chunk;
+}
+
+/**
+ * Encode raw, unfiltered scanlines as a PNG. `data` holds `height` rows of
+ * ceil(width * channels * bitDepth / 8) bytes each; every row is written
+ * with filter type 0 so the output is deterministic.
+ */
+export function encodePng({ width, height, bitDepth, colorType, data }) {
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type: ${colorType}`);
+  }
+
+  const stride = Math.ceil((width * channels * bitDepth) / 8);
+  if (data.length !== stride * height) {
+    throw new Error(
+      `PNG data has ${data.length} bytes, expected ${stride * height}`
+    );
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    writeChunk("IHDR", imageHeader(width, height, bitDepth, colorType)),
+    writeChunk("IDAT", compressScanlines(data, stride, height)),
+    writeChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function imageHeader(width, height, bitDepth, colorType) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  return header;
+}
+
+// Prefix each row with filter type 0 and deflate
+function compressScanlines(data, stride, height) {
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return deflateSync(raw);
+}
+
+/**
+ * Encode same-sized 8-bit RGBA frames as an animated PNG that loops forever,
+ * frame k shown for `delays[k]` milliseconds. Each frame replaces the
+ * previous one entirely. Viewers without APNG support show the first frame.
+ */
+export function encodeApng({ width, height, frames, delays }) {
+  const stride = width * 4;
+  const chunks = [
+    PNG_SIGNATURE,
+    writeChunk("IHDR", imageHeader(width, height, 8, 6)),
+  ];
+
+  // acTL: frame count, then 0 plays for an endless loop
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(frames.length, 0);
+  chunks.push(writeChunk("acTL", animationControl));
+
+  // fcTL and fdAT chunks share one sequence
+  let sequence = 0;
+  frames.forEach((data, index) => {
+    if (data.length !== stride * height) {
+      throw new Error(
+        `APNG frame ${index} has ${data.length} bytes, expected ${stride * height}`
+      );
+    }
+
+    // fcTL: sequence, size, offset, delay as a fraction of a second, then
+    // dispose op 0 (none) and blend op 0 (source)
+    const frameControl = Buffer.alloc(26);
+    frameControl.writeUInt32BE(sequence++, 0);
+    frameControl.writeUInt32BE(width, 4);
+    frameControl.writeUInt32BE(height, 8);
+    frameControl.writeUInt16BE(delays[index], 20);
+    frameControl.writeUInt16BE(1000, 22);
+    chunks.push(writeChunk("fcTL", frameControl));
+
+    const compressed = compressScanlines(data, stride, height);
+    if (index === 0) {
+      chunks.push(writeChunk("IDAT", compressed));
+    } else {
+      const frameData = Buffer.alloc(4 + compressed.length);
+      frameData.writeUInt32BE(sequence++, 0);
+      compressed.copy(frameData, 4);
+      chunks.push(writeChunk("fdAT", frameData));
+    }
+  });
+
+  chunks.push(writeChunk("IEND", Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
+
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const VALID_BIT_DEPTHS = {
+  0: [1, 2, 4, 8, 16],
+  2: [8, 16],
+  4: [8, 16],
+  6: [8, 16],
+};
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverse the per-scanline filters; `bpp` is the bytes per complete pixel
+// (at least 1), which is how far back the Sub/Average/Paeth filters look
+function unfilter(raw, height, stride, bpp) {
+  const output = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    const prior = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? output[row + x - bpp] : 0;
+      const up = y > 0 ? output[prior + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? output[prior + x - bpp] : 0;
+      let predictor;
+
+      switch (filter) {
+        case 0:
+          predictor = 0;
+          break;
+        case 1:
+          predictor = left;
+          break;
+        case 2:
+          predictor = up;
+          break;
+        case 3:
+          predictor = (left + up) >> 1;
+          break;
+        case 4:
+          predictor = paeth(left, up, upLeft);
+          break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+      }
+
+      output[row + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decode a non-interlaced greyscale, grey+alpha, RGB or RGBA PNG to its
+ * unfiltered scanlines at the image's own bit depth. Returns the raw rows
+ * (`stride` bytes each) along with the bits per pixel, so callers can read
+ * samples wider or narrower than 8 bits exactly.
+ */
+export function decodePng(buffer) {
+  if (
+    buffer.length < PNG_SIGNATURE.length ||
+    !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)
+  ) {
+    throw new Error("Invalid PNG: missing PNG signature");
+  }
+
+  let header = null;
+  const idat = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+
+    if (end > buffer.length) {
+      throw new Error(`Invalid PNG: ${type} chunk runs past the end of data`);
+    }
+
+    const expected = buffer.readUInt32BE(end - 4);
+    if (crc32(buffer.subarray(offset + 4, end - 4)) !== expected) {
+      throw new Error(`Invalid PNG: CRC mismatch in ${type} chunk`);
+    }
+
+    const data = buffer.subarray(offset + 8, end - 4);
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+
+    offset = end;
+  }
+
+  if (!header) {
+    throw new Error("Invalid PNG: missing IHDR chunk");
+  }
+  if (idat.length === 0) {
+    throw new Error("Invalid PNG: missing IDAT chunk");
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type: ${colorType}`);
+  }
+  if (!VALID_BIT_DEPTHS[colorType].includes(bitDepth)) {
+    throw new Error(
+      `Invalid PNG bit depth ${bitDepth} for color type ${colorType}`
+    );
+  }
+  if (interlace !== 0) {
+    throw new Error("Unsupported PNG: interlaced images");
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+
+  let raw;
+  try {
+    raw = inflateSync(Buffer.concat(idat));
+  } catch (error) {
+    throw new Error(
+      `Invalid PNG: image data does not inflate (${error.message})`
+    );
+  }
+
+  if (raw.length < (stride + 1) * height) {
+    throw new Error(
+      `Invalid PNG: image data has ${raw.length} bytes, expected ${
+        (stride + 1) * height
+      }`
+    );
+  }
+
+  return {
+    width,
+    height,
+    bitDepth,
+    colorType,
+    channels,
+    bitsPerPixel,
+    stride,
+    data: unfilter(raw, height, stride, Math.max(1, bitsPerPixel >> 3)),
+  };
+}
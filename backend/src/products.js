@@ -0,0 +1,151 @@
+// Catalog of MRMS products the backend can serve. `name` is the MRMS product
+// name substituted into `urlTemplate` along with the server's `{base}` URL;
+// `colorTable` names an entry in colorTables.js and `refreshSeconds` is how
+// often NOAA publishes a new file. `resampling` is how images are shrunk:
+// "max" (the default) keeps the strongest value under each pixel, so small
+// cores survive; categorical fields such as precipitation type use
+// "nearest", as the highest code means nothing.
+export const MRMS_BASE_URL = "https://mrms.ncep.noaa.gov/data";
+
+const MRMS_LATEST_URL = "{base}/2D/{name}/MRMS_{name}.latest.grib2.gz";
+
+export const DEFAULT_PRODUCT_ID = "reflectivity";
+
+const PRODUCTS = [
+  {
+    id: "reflectivity",
+    name: "ReflectivityAtLowestAltitude",
+    title: "Reflectivity at Lowest Altitude",
+    unit: "dBZ",
+    colorTable: "reflectivity",
+    refreshSeconds: 120,
+  },
+  {
+    id: "composite-reflectivity",
+    name: "MergedReflectivityQCComposite",
+    title: "Composite Reflectivity",
+    unit: "dBZ",
+    colorTable: "reflectivity",
+    refreshSeconds: 120,
+  },
+  {
+    id: "precip-rate",
+    name: "PrecipRate",
+    title: "Precipitation Rate",
+    unit: "mm/hr",
+    colorTable: "precipRate",
+    refreshSeconds: 120,
+  },
+  {
+    id: "precip-flag",
+    name: "PrecipFlag",
+    title: "Precipitation Type",
+    unit: "flag",
+    colorTable: "precipFlag",
+    resampling: "nearest",
+    refreshSeconds: 120,
+  },
+  {
+    id: "mesh",
+    name: "MESH",
+    title: "Maximum Estimated Size of Hail",
+    unit: "mm",
+    colorTable: "mesh",
+    refreshSeconds: 120,
+  },
+  {
+    id: "echo-top-18",
+    name: "EchoTop_18",
+    title: "18 dBZ Echo Top",
+    unit: "km",
+    colorTable: "echoTop",
+    refreshSeconds: 120,
+  },
+  {
+    id: "qpe-01h",
+    name: "RadarOnly_QPE_01H",
+    title: "Radar-Only QPE, 1 Hour",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 120,
+  },
+  {
+    id: "qpe-03h",
+    name: "RadarOnly_QPE_03H",
+    title: "Radar-Only QPE, 3 Hours",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+  {
+    id: "qpe-06h",
+    name: "RadarOnly_QPE_06H",
+    title: "Radar-Only QPE, 6 Hours",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+  {
+    id: "qpe-12h",
+    name: "RadarOnly_QPE_12H",
+    title: "Radar-Only QPE, 12 Hours",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+  {
+    id: "qpe-24h",
+    name: "RadarOnly_QPE_24H",
+    title: "Radar-Only QPE, 24 Hours",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+  {
+    id: "qpe-48h",
+    name: "RadarOnly_QPE_48H",
+    title: "Radar-Only QPE, 48 Hours",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+  {
+    id: "qpe-72h",
+    name: "RadarOnly_QPE_72H",
+    title: "Radar-Only QPE, 72 Hours",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+  {
+    id: "multisensor-qpe-01h",
+    name: "MultiSensor_QPE_01H_Pass2",
+    title: "Multi-Sensor QPE, 1 Hour",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+  {
+    id: "multisensor-qpe-24h",
+    name: "MultiSensor_QPE_24H_Pass2",
+    title: "Multi-Sensor QPE, 24 Hours",
+    unit: "mm",
+    colorTable: "qpe",
+    refreshSeconds: 3600,
+  },
+].map((product) => ({ urlTemplate: MRMS_LATEST_URL, ...product }));
+
+export function listProducts() {
+  return PRODUCTS;
+}
+
+export function getProduct(id) {
+  return PRODUCTS.find((product) => product.id === id) || null;
+}
+
+// `baseUrl` points the same layout at a mirror of the NOAA server
+export function resolveProductUrl(product, baseUrl = MRMS_BASE_URL) {
+  return product.urlTemplate
+    .replace(/\{base\}/g, baseUrl.replace(/\/+$/, ""))
+    .replace(/\{name\}/g, product.name);
+}
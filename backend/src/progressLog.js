@@ -0,0 +1,16 @@
+let enabled = true;
+
+/**
+ * Progress messages from decoding and rendering. They go to console.log,
+ * where the server keeps them alongside its own logging; the CLI turns them
+ * off unless asked for.
+ */
+export function logProgress(...args) {
+  if (enabled) {
+    console.log(...args);
+  }
+}
+
+export function setProgressLogging(on) {
+  enabled = on;
+}
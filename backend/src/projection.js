@@ -0,0 +1,374 @@
+const DEG = Math.PI / 180;
+
+// Sentinel the renderer treats as transparent
+const MISSING_VALUE = -999;
+
+// Web Mercator is undefined at the poles; clamp like every slippy map does
+const MERCATOR_MAX_LAT = 85.0511287798066;
+
+function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+function wrapRadians(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+export function mercatorY(lat) {
+  const clamped = Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat));
+  return Math.log(Math.tan(Math.PI / 4 + (clamped * DEG) / 2));
+}
+
+export function inverseMercatorY(y) {
+  return (2 * Math.atan(Math.exp(y)) - Math.PI / 2) / DEG;
+}
+
+// Bounds in degrees of XYZ tile x/y at zoom z in the usual Web Mercator
+// tiling: x east from the antimeridian, y south from the top edge
+export function tileBounds(z, x, y) {
+  const tiles = 2 ** z;
+  const tileLat = (row) => inverseMercatorY(Math.PI * (1 - (2 * row) / tiles));
+
+  return {
+    west: (x / tiles) * 360 - 180,
+    east: ((x + 1) / tiles) * 360 - 180,
+    north: tileLat(y),
+    south: tileLat(y + 1),
+  };
+}
+
+// Whether two bounds overlap, allowing for either side's longitudes being
+// shifted by 360 degrees, as antimeridian grids are
+export function boundsOverlap(a, b) {
+  if (a.south >= b.north || a.north <= b.south) {
+    return false;
+  }
+  return [-360, 0, 360].some(
+    (shift) => a.west + shift < b.east && a.east + shift > b.west
+  );
+}
+
+// The part of `bounds` inside `dataBounds`, in the longitudes of `bounds`,
+// or null when they don't overlap
+export function clipBounds(bounds, dataBounds) {
+  if (bounds.south >= dataBounds.north || bounds.north <= dataBounds.south) {
+    return null;
+  }
+
+  for (const shift of [0, -360, 360]) {
+    const west = Math.max(bounds.west, dataBounds.west - shift);
+    const east = Math.min(bounds.east, dataBounds.east - shift);
+    if (west < east) {
+      return {
+        west,
+        south: Math.max(bounds.south, dataBounds.south),
+        east,
+        north: Math.min(bounds.north, dataBounds.north),
+      };
+    }
+  }
+  return null;
+}
+
+function createLambertConformal(grid) {
+  const radius = grid.earthRadius;
+  const phi1 = grid.latin1 * DEG;
+  const phi2 = grid.latin2 * DEG;
+  const lon0 = grid.lov * DEG;
+
+  const n =
+    Math.abs(phi1 - phi2) < 1e-10
+      ? Math.sin(phi1)
+      : Math.log(Math.cos(phi1) / Math.cos(phi2)) /
+        Math.log(
+          Math.tan(Math.PI / 4 + phi2 / 2) / Math.tan(Math.PI / 4 + phi1 / 2)
+        );
+  const f =
+    (Math.cos(phi1) * Math.pow(Math.tan(Math.PI / 4 + phi1 / 2), n)) / n;
+  const sign = n < 0 ? -1 : 1;
+
+  return {
+    forward(lon, lat) {
+      const rho =
+        (radius * f) / Math.pow(Math.tan(Math.PI / 4 + (lat * DEG) / 2), n);
+      const theta = n * wrapRadians(lon * DEG - lon0);
+      return [rho * Math.sin(theta), -rho * Math.cos(theta)];
+    },
+
+    inverse(x, y) {
+      const rho = sign * Math.hypot(x, y);
+      const theta = Math.atan2(sign * x, -sign * y);
+      const lat =
+        rho === 0
+          ? sign * 90
+          : (2 * Math.atan(Math.pow((radius * f) / rho, 1 / n)) - Math.PI / 2) /
+            DEG;
+      return [normalizeLon((lon0 + theta / n) / DEG), lat];
+    },
+  };
+}
+
+function createPolarStereographic(grid) {
+  const south = (grid.projectionCentre & 0x80) !== 0;
+  const lon0 = grid.lov * DEG;
+  const k = grid.earthRadius * (1 + Math.sin(Math.abs(grid.lad) * DEG));
+  const hemisphere = south ? -1 : 1;
+
+  return {
+    forward(lon, lat) {
+      const rho = k * Math.tan(Math.PI / 4 - (hemisphere * lat * DEG) / 2);
+      const theta = lon * DEG - lon0;
+      return [rho * Math.sin(theta), -hemisphere * rho * Math.cos(theta)];
+    },
+
+    inverse(x, y) {
+      const rho = Math.hypot(x, y);
+      const lat = hemisphere * (90 - (2 * Math.atan(rho / k)) / DEG);
+      const theta = Math.atan2(x, -hemisphere * y);
+      return [normalizeLon((lon0 + theta) / DEG), lat];
+    },
+  };
+}
+
+function createLatLonGrid(grid) {
+  const stepI = grid.scanningMode & 0x80 ? -grid.dx : grid.dx;
+  const stepJ = grid.scanningMode & 0x40 ? grid.dy : -grid.dy;
+
+  return {
+    toLonLat(i, j) {
+      return [normalizeLon(grid.lon1 + i * stepI), grid.lat1 + j * stepJ];
+    },
+
+    toGridIndex(lon, lat) {
+      const offset = stepI > 0 ? lon - grid.lon1 : grid.lon1 - lon;
+      return [
+        ((((offset % 360) + 360) % 360) * Math.sign(stepI)) / stepI,
+        (lat - grid.lat1) / stepJ,
+      ];
+    },
+  };
+}
+
+function createProjectedGrid(grid, projection) {
+  const [x1, y1] = projection.forward(grid.lon1, grid.lat1);
+  const stepX = grid.scanningMode & 0x80 ? -grid.dx : grid.dx;
+  const stepY = grid.scanningMode & 0x40 ? grid.dy : -grid.dy;
+
+  return {
+    toLonLat(i, j) {
+      return projection.inverse(x1 + i * stepX, y1 + j * stepY);
+    },
+
+    toGridIndex(lon, lat) {
+      const [x, y] = projection.forward(lon, lat);
+      return [(x - x1) / stepX, (y - y1) / stepY];
+    },
+  };
+}
+
+/**
+ * Map between grid indices (i along a row, j across rows, in the order the
+ * values are stored) and longitude/latitude for grid templates 3.0, 3.20
+ * and 3.30.
+ */
+export function createGridProjection(grid) {
+  if (grid.templateNum === 0) {
+    return createLatLonGrid(grid);
+  }
+  if (grid.templateNum === 20) {
+    return createProjectedGrid(grid, createPolarStereographic(grid));
+  }
+  if (grid.templateNum === 30) {
+    return createProjectedGrid(grid, createLambertConformal(grid));
+  }
+  throw new Error(`Unsupported grid definition template: ${grid.templateNum}`);
+}
+
+/**
+ * The grid cell nearest to `lon`/`lat`: its indices and its offset into the
+ * record's values, or null when the point lies outside the grid.
+ */
+export function locateGridCell(grid, lon, lat) {
+  const [i, j] = createGridProjection(grid).toGridIndex(lon, lat);
+  const ii = Math.round(i);
+  const jj = Math.round(j);
+
+  if (!(ii >= 0 && ii < grid.width && jj >= 0 && jj < grid.height)) {
+    return null;
+  }
+  return { i: ii, j: jj, index: jj * grid.width + ii };
+}
+
+export function isProjectedGrid(grid) {
+  return grid.templateNum === 20 || grid.templateNum === 30;
+}
+
+/**
+ * Geographic bounding box of a grid, found by walking its perimeter (and
+ * checking whether it contains a pole). Longitudes are measured from the
+ * grid centre so grids straddling the antimeridian get `east` > 180 rather
+ * than a world-wide box.
+ */
+export function computeGridBounds(grid) {
+  const projection = createGridProjection(grid);
+  const { width, height } = grid;
+  const [centerLon] = projection.toLonLat((width - 1) / 2, (height - 1) / 2);
+  let west = Infinity,
+    east = -Infinity,
+    south = Infinity,
+    north = -Infinity;
+
+  const include = (i, j) => {
+    const [lon, lat] = projection.toLonLat(i, j);
+    const offset = normalizeLon(lon - centerLon);
+    west = Math.min(west, offset);
+    east = Math.max(east, offset);
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+  };
+
+  for (let i = 0; i < width; i++) {
+    include(i, 0);
+    include(i, height - 1);
+  }
+  for (let j = 0; j < height; j++) {
+    include(0, j);
+    include(width - 1, j);
+  }
+
+  for (const poleLat of [90, -90]) {
+    const [i, j] = projection.toGridIndex(0, poleLat);
+    if (i >= 0 && i <= width - 1 && j >= 0 && j <= height - 1) {
+      if (poleLat > 0) north = 90;
+      else south = -90;
+      return { west: -180, east: 180, south, north };
+    }
+  }
+
+  const start = normalizeLon(centerLon + west);
+  return { west: start, east: start + (east - west), south, north };
+}
+
+/**
+ * Resample a parsed field onto a north-up raster in either equirectangular
+ * ("latlon") or Web Mercator ("mercator") space covering `bounds`. With
+ * `resampling: "nearest"` (default) each pixel takes the grid cell at its
+ * centre; with "max" it takes the highest value among the cells it covers,
+ * so small intense cores survive downsampling.
+ */
+export function reprojectGrid(radarData, options = {}) {
+  const { projection = "latlon", resampling = "nearest" } = options;
+  const { grid, values } = radarData;
+  const bounds = options.bounds || radarData.bounds;
+  const { west, east, south, north } = bounds;
+  const gridProjection = createGridProjection(grid);
+
+  const mercator = projection === "mercator";
+  const top = mercator ? mercatorY(north) : north;
+  const bottom = mercator ? mercatorY(south) : south;
+  const spanX = mercator ? (east - west) * DEG : east - west;
+
+  const width = options.width || grid.width;
+  const height =
+    options.height || Math.max(1, Math.round((width * (top - bottom)) / spanX));
+
+  const lons = new Float64Array(width);
+  for (let x = 0; x < width; x++) {
+    lons[x] = west + ((x + 0.5) / width) * (east - west);
+  }
+
+  const output = new Float32Array(width * height);
+  const rowLat = (row) => {
+    const v = top - (row / height) * (top - bottom);
+    return mercator ? inverseMercatorY(v) : v;
+  };
+  const nearest = (lon, lat) => {
+    const [i, j] = gridProjection.toGridIndex(lon, lat);
+    const ii = Math.round(i);
+    const jj = Math.round(j);
+
+    return ii >= 0 && ii < grid.width && jj >= 0 && jj < grid.height
+      ? values[jj * grid.width + ii]
+      : MISSING_VALUE;
+  };
+
+  if (resampling === "max") {
+    // Grid indices of the pixel corners along one row boundary
+    const cornerRow = (row) => {
+      const lat = rowLat(row);
+      const corners = new Float64Array(2 * (width + 1));
+      for (let x = 0; x <= width; x++) {
+        const lon = west + (x / width) * (east - west);
+        const [i, j] = gridProjection.toGridIndex(lon, lat);
+        corners[2 * x] = i;
+        corners[2 * x + 1] = j;
+      }
+      return corners;
+    };
+
+    // Grid cells under the pixel whose corners are at `k` in the two rows
+    // along one axis: those whose centres it covers, or the one nearest its
+    // centre when it is narrower than a cell
+    const cellRange = (upper, lower, k, size) => {
+      const a = upper[k];
+      const b = upper[k + 2];
+      const c = lower[k];
+      const d = lower[k + 2];
+      let start = Math.ceil(Math.min(a, b, c, d));
+      let end = Math.ceil(Math.max(a, b, c, d));
+      if (start >= end) {
+        start = Math.round((a + b + c + d) / 4);
+        end = start + 1;
+      }
+      return [Math.max(0, start), Math.min(size, end)];
+    };
+
+    let upper = cornerRow(0);
+    for (let y = 0; y < height; y++) {
+      const lower = cornerRow(y + 1);
+      const lat = rowLat(y + 0.5);
+
+      for (let x = 0; x < width; x++) {
+        const [iStart, iEnd] = cellRange(upper, lower, 2 * x, grid.width);
+        const [jStart, jEnd] = cellRange(upper, lower, 2 * x + 1, grid.height);
+
+        // Corners on either side of a global grid's seam seem to span the
+        // whole grid
+        if (iEnd - iStart > grid.width / 2) {
+          output[y * width + x] = nearest(lons[x], lat);
+          continue;
+        }
+
+        let max = MISSING_VALUE;
+        for (let jj = jStart; jj < jEnd; jj++) {
+          const row = jj * grid.width;
+          for (let ii = iStart; ii < iEnd; ii++) {
+            if (values[row + ii] > max) {
+              max = values[row + ii];
+            }
+          }
+        }
+        output[y * width + x] = max;
+      }
+
+      upper = lower;
+    }
+  } else {
+    for (let y = 0; y < height; y++) {
+      const lat = rowLat(y + 0.5);
+      for (let x = 0; x < width; x++) {
+        output[y * width + x] = nearest(lons[x], lat);
+      }
+    }
+  }
+
+  return {
+    ...radarData,
+    values: output,
+    width,
+    height,
+    bounds,
+    scanningMode: 0,
+    projection,
+  };
+}
@@ -0,0 +1,165 @@
+import sharp from "sharp";
+import { encodeApng } from "./png.js";
+import { renderRadarPixels } from "./radarRenderer.js";
+
+export const LOOP_FORMATS = ["gif", "webp", "png"];
+
+// Frames are flattened onto this, as GIF has no partial transparency and a
+// loop is usually viewed on its own rather than over a map
+const BACKGROUND = [16, 20, 28];
+const LABEL_BACKGROUND = [0, 0, 0, 170];
+const LABEL_COLOR = [255, 255, 255];
+
+// 5x7 bitmap glyphs for timestamp labels, so frames look the same whatever
+// fonts the server has installed
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPHS = {
+  0: "01110 10001 10011 10101 11001 10001 01110",
+  1: "00100 01100 00100 00100 00100 00100 01110",
+  2: "01110 10001 00001 00010 00100 01000 11111",
+  3: "11111 00010 00100 00010 00001 10001 01110",
+  4: "00010 00110 01010 10010 11111 00010 00010",
+  5: "11111 10000 11110 00001 00001 10001 01110",
+  6: "00110 01000 10000 11110 10001 10001 01110",
+  7: "11111 00001 00010 00100 01000 01000 01000",
+  8: "01110 10001 10001 01110 10001 10001 01110",
+  9: "01110 10001 10001 01111 00001 00010 01100",
+  "-": "00000 00000 00000 11111 00000 00000 00000",
+  ":": "00000 01100 01100 00000 01100 01100 00000",
+  C: "01110 10001 10000 10000 10000 10001 01110",
+  T: "11111 00100 00100 00100 00100 00100 00100",
+  U: "10001 10001 10001 10001 10001 10001 01110",
+};
+
+// 2024-05-01 12:30 UTC
+function formatLabel(timestamp) {
+  return `${new Date(timestamp)
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ")} UTC`;
+}
+
+function blendPixel(pixels, offset, [r, g, b], alpha) {
+  pixels[offset] += ((r - pixels[offset]) * alpha) / 255;
+  pixels[offset + 1] += ((g - pixels[offset + 1]) * alpha) / 255;
+  pixels[offset + 2] += ((b - pixels[offset + 2]) * alpha) / 255;
+}
+
+// Composite onto the opaque background in place
+function flatten(pixels) {
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    const alpha = pixels[offset + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      pixels[offset + c] =
+        BACKGROUND[c] + (pixels[offset + c] - BACKGROUND[c]) * alpha;
+    }
+    pixels[offset + 3] = 255;
+  }
+}
+
+// Draw `text` on a translucent box in the bottom left corner, at twice the
+// glyph size when the frame is wide enough
+function drawLabel(pixels, width, height, text) {
+  const scale = width >= 480 ? 2 : 1;
+  const padding = 3 * scale;
+  const advance = (GLYPH_WIDTH + 1) * scale;
+  const boxWidth = Math.min(width, text.length * advance + 2 * padding);
+  const boxHeight = Math.min(height, GLYPH_HEIGHT * scale + 2 * padding);
+  const top = height - boxHeight;
+
+  for (let y = top; y < height; y++) {
+    for (let x = 0; x < boxWidth; x++) {
+      blendPixel(
+        pixels,
+        (y * width + x) * 4,
+        LABEL_BACKGROUND,
+        LABEL_BACKGROUND[3]
+      );
+    }
+  }
+
+  [...text].forEach((char, index) => {
+    const rows = GLYPHS[char]?.split(" ");
+    if (!rows) return;
+
+    const left = padding + index * advance;
+    rows.forEach((row, gy) => {
+      for (let gx = 0; gx < GLYPH_WIDTH; gx++) {
+        if (row[gx] !== "1") continue;
+
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const x = left + gx * scale + dx;
+            const y = top + padding + gy * scale + dy;
+            if (x < width && y < height) {
+              pixels.set(LABEL_COLOR, (y * width + x) * 4);
+            }
+          }
+        }
+      }
+    });
+  });
+}
+
+/**
+ * One loop frame: the field rendered as by renderRadarPixels (`options`
+ * takes the same bounds, width and palette), flattened onto the background
+ * and labelled with the record's timestamp.
+ */
+export function renderLoopFrame(radarData, options = {}) {
+  const { pixels, width, height } = renderRadarPixels(radarData, options);
+  flatten(pixels);
+  drawLabel(pixels, width, height, formatLabel(radarData.timestamp));
+  return { pixels, width, height };
+}
+
+/**
+ * Encode same-sized RGBA frames from renderLoopFrame as an endlessly
+ * looping animation in `format` ("gif", "webp" or "png" for APNG). Each
+ * frame shows for `delayMs` and the last one for `holdMs`.
+ */
+export async function encodeLoop(frames, { format, delayMs, holdMs }) {
+  const { width, height } = frames[0];
+  const delays = frames.map((_, index) =>
+    index === frames.length - 1 ? holdMs : delayMs
+  );
+
+  if (format === "png") {
+    return encodeApng({
+      width,
+      height,
+      frames: frames.map((frame) => frame.pixels),
+      delays,
+    });
+  }
+
+  const toImage = (frame) =>
+    sharp(
+      Buffer.from(
+        frame.pixels.buffer,
+        frame.pixels.byteOffset,
+        frame.pixels.byteLength
+      ),
+      {
+        raw: { width, height, channels: 4 },
+      }
+    );
+
+  // sharp joins encoded images into an animation, not raw pixels
+  const image =
+    frames.length === 1
+      ? toImage(frames[0])
+      : sharp(
+          await Promise.all(
+            frames.map((frame) =>
+              toImage(frame).png({ compressionLevel: 0 }).toBuffer()
+            )
+          ),
+          { join: { animated: true } }
+        );
+
+  return format === "gif"
+    ? image.gif({ delay: delays, loop: 0, dither: 0 }).toBuffer()
+    : image.webp({ delay: delays, loop: 0, quality: 90 }).toBuffer();
+}
@@ -1,66 +1,140 @@
 import sharp from "sharp";
-
-const COLOR_SCALE = [
-  { dbz: -30, color: [0, 0, 0, 0] },
-  { dbz: 0, color: [0, 0, 0, 0] },
-  { dbz: 5, color: [4, 68, 94, 160] },
-  { dbz: 10, color: [0, 160, 180, 200] },
-  { dbz: 15, color: [0, 200, 160, 220] },
-  { dbz: 20, color: [0, 230, 0, 240] },
-  { dbz: 25, color: [0, 200, 0, 250] },
-  { dbz: 30, color: [0, 144, 0, 255] },
-  { dbz: 35, color: [255, 255, 0, 255] },
-  { dbz: 40, color: [255, 192, 0, 255] },
-  { dbz: 45, color: [255, 128, 0, 255] },
-  { dbz: 50, color: [255, 0, 0, 255] },
-  { dbz: 55, color: [200, 0, 0, 255] },
-  { dbz: 60, color: [255, 0, 200, 255] },
-  { dbz: 65, color: [160, 0, 255, 255] },
-  { dbz: 70, color: [255, 255, 255, 255] },
-  { dbz: 75, color: [200, 200, 255, 255] },
-];
-
-function getColorForDbz(dbz) {
-  if (dbz < -900 || isNaN(dbz)) {
-    return [0, 0, 0, 0];
+import { resolvePalette } from "./colorTables.js";
+import {
+  boundsOverlap,
+  isProjectedGrid,
+  reprojectGrid,
+  tileBounds,
+} from "./projection.js";
+import { logProgress } from "./progressLog.js";
+
+const TILE_SIZE = 256;
+
+const TRANSPARENT = [0, 0, 0, 0];
+
+// Color for one value under a resolved palette (see resolvePalette). Below
+// the first stop or the palette's threshold is transparent; "discrete" mode
+// and solid stops fill each band with its lower stop's color, otherwise the
+// color blends toward the stop's endColor or the next stop's color.
+function getColorForValue(value, palette) {
+  const { stops, mode, threshold } = palette;
+
+  if (
+    value < -900 ||
+    isNaN(value) ||
+    value < stops[0].value ||
+    (threshold !== null && threshold !== undefined && value < threshold)
+  ) {
+    return TRANSPARENT;
   }
 
-  let lower = COLOR_SCALE[0];
-  let upper = COLOR_SCALE[COLOR_SCALE.length - 1];
-
-  for (let i = 0; i < COLOR_SCALE.length - 1; i++) {
-    if (dbz >= COLOR_SCALE[i].dbz && dbz < COLOR_SCALE[i + 1].dbz) {
-      lower = COLOR_SCALE[i];
-      upper = COLOR_SCALE[i + 1];
-      break;
-    }
+  const last = stops[stops.length - 1];
+  if (value >= last.value) {
+    return last.color;
   }
 
-  if (dbz < COLOR_SCALE[0].dbz) {
-    return COLOR_SCALE[0].color;
+  let index = 0;
+  while (value >= stops[index + 1].value) {
+    index++;
   }
 
-  if (dbz >= COLOR_SCALE[COLOR_SCALE.length - 1].dbz) {
-    return COLOR_SCALE[COLOR_SCALE.length - 1].color;
+  const lower = stops[index];
+  const upper = stops[index + 1];
+  if (mode === "discrete" || lower.solid) {
+    return lower.color;
   }
 
-  const range = upper.dbz - lower.dbz;
-  const t = range === 0 ? 0 : (dbz - lower.dbz) / range;
+  const endColor = lower.endColor || upper.color;
+  const range = upper.value - lower.value;
+  const t = range === 0 ? 0 : (value - lower.value) / range;
 
   return [
-    Math.round(lower.color[0] + t * (upper.color[0] - lower.color[0])),
-    Math.round(lower.color[1] + t * (upper.color[1] - lower.color[1])),
-    Math.round(lower.color[2] + t * (upper.color[2] - lower.color[2])),
-    Math.round(lower.color[3] + t * (upper.color[3] - lower.color[3])),
+    Math.round(lower.color[0] + t * (endColor[0] - lower.color[0])),
+    Math.round(lower.color[1] + t * (endColor[1] - lower.color[1])),
+    Math.round(lower.color[2] + t * (endColor[2] - lower.color[2])),
+    Math.round(lower.color[3] + t * (endColor[3] - lower.color[3])),
   ];
 }
 
-export async function renderRadarPng(radarData) {
-  const { values, width, height, scanningMode } = radarData;
+// `options.palette` is a resolved palette; otherwise `options.colorTable`
+// names one to use as is
+function paletteFromOptions(options) {
+  return options.palette || resolvePalette(options.colorTable);
+}
+
+/**
+ * Color a parsed field as north-up RGBA pixels. Projected grids (Lambert
+ * conformal, polar stereographic) are always resampled onto a geographic
+ * raster; `options.projection` picks "latlon" (default) or "mercator",
+ * `options.bounds` crops to a { west, south, east, north } box,
+ * `options.width`/`options.height` override the output size,
+ * `options.resampling` picks "nearest" (default) or "max" for downsampling
+ * (see reprojectGrid) and `options.palette` (a resolved palette) or
+ * `options.colorTable` (a palette id, reflectivity by default) sets the
+ * colors.
+ */
+export function renderRadarPixels(radarData, options = {}) {
+  const { projection = "latlon" } = options;
+  const palette = paletteFromOptions(options);
+
+  if (
+    (radarData.grid && isProjectedGrid(radarData.grid)) ||
+    projection === "mercator" ||
+    options.bounds ||
+    options.width ||
+    options.height
+  ) {
+    logProgress(`Reprojecting grid to a ${projection} raster...`);
+    radarData = reprojectGrid(radarData, { ...options, projection });
+  }
 
-  console.log(`Rendering ${width}x${height} radar image...`);
+  const { width, height } = radarData;
+  const { pixels } = colorizeValues(radarData, palette);
+  return { pixels, width, height };
+}
+
+// renderRadarPixels, encoded as a PNG
+export async function renderRadarPng(radarData, options = {}) {
+  const { pixels, width, height } = renderRadarPixels(radarData, options);
+
+  logProgress(`Rendering ${width}x${height} radar image...`);
+
+  const pngBuffer = await encodeRgbaPng(pixels, width, height);
 
+  logProgress(`Generated PNG: ${(pngBuffer.length / 1024).toFixed(2)} KB`);
+
+  return pngBuffer;
+}
+
+/**
+ * Render XYZ tile z/x/y of a parsed field as a 256px Web Mercator PNG using
+ * the same colors and `resampling` as renderRadarPng. Resolves null when
+ * nothing in the tile would be drawn, including tiles outside the grid.
+ */
+export async function renderRadarTile(radarData, { z, x, y, ...options }) {
+  const bounds = tileBounds(z, x, y);
+  if (!radarData.bounds || !boundsOverlap(bounds, radarData.bounds)) {
+    return null;
+  }
+
+  const tile = reprojectGrid(radarData, {
+    projection: "mercator",
+    bounds,
+    width: TILE_SIZE,
+    height: TILE_SIZE,
+    resampling: options.resampling,
+  });
+  const { pixels, visible } = colorizeValues(tile, paletteFromOptions(options));
+
+  return visible ? encodeRgbaPng(pixels, TILE_SIZE, TILE_SIZE) : null;
+}
+
+// RGBA pixels for a field, flipped to north-up and west-to-left according to
+// its scanning mode; `visible` says whether any pixel is not transparent
+function colorizeValues(radarData, palette) {
+  const { values, width, height, scanningMode } = radarData;
   const pixels = new Uint8Array(width * height * 4);
+  let visible = false;
 
   const scanWestToEast = !(scanningMode & 0x80);
   const scanNorthToSouth = !(scanningMode & 0x40);
@@ -73,17 +147,22 @@ export async function renderRadarPng(radarData) {
 
       const dstIdx = (j * width + i) * 4;
 
-      const dbz = values[srcIdx] || -999;
-      const color = getColorForDbz(dbz);
+      const value = values[srcIdx] || -999;
+      const color = getColorForValue(value, palette);
 
       pixels[dstIdx] = color[0];
       pixels[dstIdx + 1] = color[1];
       pixels[dstIdx + 2] = color[2];
       pixels[dstIdx + 3] = color[3];
+      visible ||= color[3] > 0;
     }
   }
 
-  const pngBuffer = await sharp(Buffer.from(pixels.buffer), {
+  return { pixels, visible };
+}
+
+function encodeRgbaPng(pixels, width, height) {
+  return sharp(Buffer.from(pixels.buffer), {
     raw: {
       width,
       height,
@@ -95,24 +174,59 @@ export async function renderRadarPng(radarData) {
       palette: false,
     })
     .toBuffer();
+}
 
-  console.log(`Generated PNG: ${(pngBuffer.length / 1024).toFixed(2)} KB`);
+function formatLegendValue(value) {
+  return String(Number(value.toFixed(2)));
+}
 
-  return pngBuffer;
+/**
+ * The legend for `palette` as plain data: one entry per visible stop, with
+ * the color the renderer actually draws at that value (so thresholds and
+ * band modes are reflected), plus the palette's named categories.
+ */
+export function describeLegend(palette) {
+  const visible = palette.stops
+    .map((stop) => ({
+      value: stop.value,
+      color: getColorForValue(stop.value, palette),
+    }))
+    .filter((stop) => stop.color[3] > 0);
+
+  return {
+    palette: palette.id,
+    title: palette.title,
+    unit: palette.unit,
+    mode: palette.mode,
+    threshold: palette.threshold ?? null,
+    stops: visible.map((stop, index) => ({
+      ...stop,
+      label:
+        formatLegendValue(stop.value) +
+        (index === visible.length - 1 ? "+" : ""),
+    })),
+    categories: palette.categories || [],
+  };
 }
 
-export async function renderLegend() {
+export async function renderLegend(palette) {
   const legendWidth = 30;
   const legendHeight = 256;
 
   const pixels = new Uint8Array(legendWidth * legendHeight * 4);
 
-  const minDbz = 5;
-  const maxDbz = 75;
+  // Span from the first visible stop (or the threshold) to the last one
+  const { stops } = palette;
+  const firstVisible = stops.find((stop) => stop.color[3] > 0) || stops[0];
+  const maxValue = stops[stops.length - 1].value;
+  const minValue = Math.min(
+    maxValue,
+    Math.max(firstVisible.value, palette.threshold ?? -Infinity)
+  );
 
   for (let y = 0; y < legendHeight; y++) {
-    const dbz = minDbz + (1 - y / legendHeight) * (maxDbz - minDbz);
-    const color = getColorForDbz(dbz);
+    const value = minValue + (1 - y / legendHeight) * (maxValue - minValue);
+    const color = getColorForValue(value, palette);
 
     for (let x = 0; x < legendWidth; x++) {
       const idx = (y * legendWidth + x) * 4;
@@ -0,0 +1,111 @@
+import { parentPort } from "worker_threads";
+import { computeContours } from "./contours.js";
+import { decompressRadarData } from "./dataFetcher.js";
+import { listGrib2Fields, parseGrib2 } from "./grib2Parser.js";
+import { encodeLoop, renderLoopFrame } from "./radarLoop.js";
+import { exportRaster } from "./rasterExport.js";
+import { renderRadarPng, renderRadarTile } from "./radarRenderer.js";
+import { identifyCells } from "./stormCells.js";
+
+// Copy a Node Buffer into its own ArrayBuffer; Buffers may be slices of a
+// shared pool and must never be transferred directly
+function toTransferable(buffer) {
+  return new Uint8Array(buffer).buffer;
+}
+
+const TASKS = {
+  // Decode and render a downloaded product file: either `grib`, already
+  // decompressed and checked while it streamed in, or the raw `data`. The
+  // PNG bytes and the decoded values travel back as transferred buffers
+  // rather than copies, along with the file's fields (see listGrib2Fields)
+  // so later selections can be resolved without decoding. `image` and
+  // `record` are null when no field matches.
+  async frame({ grib, data, criteria = {}, render = {} }) {
+    const gribBuffer = grib
+      ? Buffer.from(grib.buffer, grib.byteOffset, grib.byteLength)
+      : decompressRadarData(
+          Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+        );
+    const fields = listGrib2Fields(gribBuffer);
+    const record = await parseGrib2(gribBuffer, criteria);
+
+    if (!record) {
+      return { result: { fields, image: null, record: null }, transfer: [] };
+    }
+
+    const image = toTransferable(await renderRadarPng(record, render));
+
+    return {
+      result: { fields, image, record },
+      transfer: [image, record.values.buffer],
+    };
+  },
+
+  // Render an already decoded record, e.g. with a palette other than the
+  // product's default
+  async render({ record, render = {} }) {
+    const image = toTransferable(await renderRadarPng(record, render));
+    return { result: image, transfer: [image] };
+  },
+
+  // One XYZ tile (see renderRadarTile), or null when it would be empty
+  async tile({ record, options }) {
+    const image = await renderRadarTile(record, options);
+    if (!image) {
+      return { result: null, transfer: [] };
+    }
+    const buffer = toTransferable(image);
+    return { result: buffer, transfer: [buffer] };
+  },
+
+  // GeoJSON band outlines (see computeContours), already serialized;
+  // `metadata` goes in as foreign members ahead of the features
+  async contours({ record, options, metadata = {} }) {
+    const { type, features } = computeContours(record, options);
+    return {
+      result: JSON.stringify({ type, ...metadata, features }),
+      transfer: [],
+    };
+  },
+
+  // GeoTIFF or NetCDF bytes (see exportRaster), or null when the bbox
+  // misses the grid
+  async export({ record, options }) {
+    const file = exportRaster(record, options);
+    if (!file) {
+      return { result: null, transfer: [] };
+    }
+    const buffer = toTransferable(file);
+    return { result: buffer, transfer: [buffer] };
+  },
+
+  // Storm cells in one frame (see identifyCells), before tracking
+  async cells({ record, options }) {
+    return { result: identifyCells(record, options), transfer: [] };
+  },
+
+  async loopFrame({ record, options }) {
+    const frame = renderLoopFrame(record, options);
+    return { result: frame, transfer: [frame.pixels.buffer] };
+  },
+
+  async encodeLoop({ frames, options }) {
+    const image = toTransferable(await encodeLoop(frames, options));
+    return { result: image, transfer: [image] };
+  },
+};
+
+parentPort.on("message", async ({ id, task, payload }) => {
+  try {
+    if (!TASKS[task]) {
+      throw new Error(`Unknown worker task: ${task}`);
+    }
+    const { result, transfer } = await TASKS[task](payload);
+    parentPort.postMessage({ id, result }, transfer);
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: { message: error.message, stack: error.stack },
+    });
+  }
+});
@@ -0,0 +1,214 @@
+import { encodeGeoTiff } from "./geoTiff.js";
+import { encodeNetcdf } from "./netcdf.js";
+import { clipBounds, isProjectedGrid, reprojectGrid } from "./projection.js";
+
+export const EXPORT_FORMATS = ["tif", "nc"];
+
+// Missing and no-coverage cells, as the parser decodes them
+const NO_DATA = -999;
+const METERS_PER_DEGREE = 111320;
+
+// Snapping to cell edges is done with this much slack, so bounds that land on
+// an edge up to floating point error don't gain an empty row or column
+const EDGE_TOLERANCE = 1e-6;
+
+/**
+ * The field as a north-up longitude/latitude raster covering `bbox` (the
+ * whole grid by default): { values, width, height, bounds } with `bounds`
+ * the raster's outer edges. Lat/lon grids are cut along cell edges, so every
+ * value is an original cell; projected grids are resampled (nearest cell) at
+ * about their own resolution. Null when `bbox` misses the grid.
+ */
+export function extractGeographicRaster(radarData, bbox) {
+  const { grid } = radarData;
+
+  if (isProjectedGrid(grid)) {
+    const bounds = bbox ? clipBounds(bbox, radarData.bounds) : radarData.bounds;
+    if (!bounds) return null;
+
+    const raster = reprojectGrid(radarData, {
+      bounds,
+      width: Math.max(
+        1,
+        Math.round(((bounds.east - bounds.west) * METERS_PER_DEGREE) / grid.dx)
+      ),
+      height: Math.max(
+        1,
+        Math.round(
+          ((bounds.north - bounds.south) * METERS_PER_DEGREE) / grid.dy
+        )
+      ),
+    });
+    return { ...raster, bounds };
+  }
+
+  // radarData.bounds starts at the north-west cell's centre
+  const { dx, dy } = grid;
+  const west = radarData.bounds.west - dx / 2;
+  const north = radarData.bounds.north + dy / 2;
+  const extent = {
+    west,
+    south: north - grid.height * dy,
+    east: west + grid.width * dx,
+    north,
+  };
+  const clipped = bbox ? clipBounds(bbox, extent) : extent;
+  if (!clipped) return null;
+
+  // Widen to the edges of every cell the box touches; clipBounds keeps the
+  // box's longitudes, so measure from the grid edge in that frame
+  const westEdge =
+    extent.west + Math.round((clipped.west - extent.west) / 360) * 360;
+  const firstColumn = Math.floor(
+    (clipped.west - westEdge) / dx + EDGE_TOLERANCE
+  );
+  const lastColumn = Math.ceil((clipped.east - westEdge) / dx - EDGE_TOLERANCE);
+  const firstRow = Math.floor(
+    (extent.north - clipped.north) / dy + EDGE_TOLERANCE
+  );
+  const lastRow = Math.ceil(
+    (extent.north - clipped.south) / dy - EDGE_TOLERANCE
+  );
+
+  const bounds = {
+    west: westEdge + firstColumn * dx,
+    south: extent.north - lastRow * dy,
+    east: westEdge + lastColumn * dx,
+    north: extent.north - firstRow * dy,
+  };
+  // Pixel centres then fall on cell centres, so the nearest-cell lookup
+  // copies cells exactly and handles scanning order and longitude wrapping
+  const raster = reprojectGrid(radarData, {
+    bounds,
+    width: lastColumn - firstColumn,
+    height: lastRow - firstRow,
+  });
+  return { ...raster, bounds };
+}
+
+// NetCDF names are safest as letters, digits and underscores
+function toVariableName(productId) {
+  return productId.replace(/\W/g, "_");
+}
+
+function encodeCfNetcdf({ values, width, height, bounds }, attributes) {
+  const cellWidth = (bounds.east - bounds.west) / width;
+  const cellHeight = (bounds.north - bounds.south) / height;
+  const lon = Float64Array.from(
+    { length: width },
+    (_, i) => bounds.west + (i + 0.5) * cellWidth
+  );
+  const lat = Float64Array.from(
+    { length: height },
+    (_, j) => bounds.north - (j + 0.5) * cellHeight
+  );
+  const timestamp = new Date(attributes.timestamp);
+
+  return encodeNetcdf({
+    dimensions: [
+      { name: "time", size: 1 },
+      { name: "lat", size: height },
+      { name: "lon", size: width },
+    ],
+    attributes: {
+      Conventions: "CF-1.8",
+      title: attributes.title,
+      source: "NOAA/NSSL Multi-Radar Multi-Sensor (MRMS)",
+      product_id: attributes.productId,
+      grib_name: attributes.name,
+      level: attributes.level,
+      history: `${new Date().toISOString()} exported from GRIB2`,
+    },
+    variables: [
+      {
+        name: "time",
+        type: "double",
+        dimensions: ["time"],
+        attributes: {
+          standard_name: "time",
+          units: "seconds since 1970-01-01 00:00:00",
+          calendar: "standard",
+          axis: "T",
+        },
+        data: [timestamp.getTime() / 1000],
+      },
+      {
+        name: "lat",
+        type: "double",
+        dimensions: ["lat"],
+        attributes: {
+          standard_name: "latitude",
+          long_name: "latitude",
+          units: "degrees_north",
+          axis: "Y",
+        },
+        data: lat,
+      },
+      {
+        name: "lon",
+        type: "double",
+        dimensions: ["lon"],
+        attributes: {
+          standard_name: "longitude",
+          long_name: "longitude",
+          units: "degrees_east",
+          axis: "X",
+        },
+        data: lon,
+      },
+      {
+        name: "crs",
+        type: "int",
+        dimensions: [],
+        attributes: {
+          grid_mapping_name: "latitude_longitude",
+          semi_major_axis: 6378137,
+          inverse_flattening: 298.257223563,
+          crs_wkt:
+            'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]]',
+        },
+        data: [0],
+      },
+      {
+        name: toVariableName(attributes.productId),
+        type: "float",
+        dimensions: ["time", "lat", "lon"],
+        attributes: {
+          long_name: attributes.title,
+          units: attributes.unit,
+          _FillValue: Float32Array.of(NO_DATA),
+          grid_mapping: "crs",
+        },
+        data: values,
+      },
+    ],
+  });
+}
+
+/**
+ * Export a parsed field as "tif" (Float32 GeoTIFF) or "nc" (NetCDF-CF) in
+ * longitude/latitude, cut to `bbox` when given (see
+ * extractGeographicRaster). `attributes` describe the product: productId,
+ * title, unit, timestamp, and the GRIB name and level. Null when `bbox`
+ * misses the grid.
+ */
+export function exportRaster(radarData, { format, bbox, attributes }) {
+  const raster = extractGeographicRaster(radarData, bbox);
+  if (!raster) return null;
+
+  if (format === "nc") {
+    return encodeCfNetcdf(raster, attributes);
+  }
+  return encodeGeoTiff({
+    ...raster,
+    noData: NO_DATA,
+    metadata: {
+      product_id: attributes.productId,
+      title: attributes.title,
+      units: attributes.unit,
+      time: new Date(attributes.timestamp).toISOString(),
+      grib_name: attributes.name,
+      level: attributes.level,
+    },
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * Least-recently-used cache of rendered images (tiles, full frames drawn
+ * with a non-default palette). Entries are promises, so concurrent requests
+ * for an image that is still rendering share the job; a render that fails
+ * is dropped rather than cached. `null` results (empty tiles) are cached
+ * like any other.
+ */
+export function createRenderCache({ maxEntries = 1024 } = {}) {
+  const entries = new Map();
+
+  function get(key, render) {
+    let entry = entries.get(key);
+
+    if (entry) {
+      // Map keeps insertion order; re-inserting marks the entry as recent
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    }
+
+    entry = render().catch((error) => {
+      entries.delete(key);
+      throw error;
+    });
+    entries.set(key, entry);
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  return {
+    get,
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,277 @@
+import { createGridProjection, isProjectedGrid } from "./projection.js";
+
+const KM_PER_DEGREE = 111.32;
+const DEG = Math.PI / 180;
+
+// Liquid water content from reflectivity (Greene and Clark, 1972): M =
+// 3.44e-6 * Z^(4/7) kg/m^3 per metre of column, with Z capped at 56 dBZ so
+// hail doesn't count as rain. The field is a single level, so the column is
+// taken to be this deep; the result is a VIL-like index, not true VIL.
+const VIL_COEFFICIENT = 3.44e-6;
+const VIL_MAX_DBZ = 56;
+const ASSUMED_ECHO_DEPTH_M = 10000;
+
+// Cells are matched within this distance when their speed would allow less,
+// so centroid jitter between scans doesn't break tracks
+const MIN_MATCH_RADIUS_KM = 10;
+// Motion is measured over this many past positions, to smooth jitter
+const MOTION_POSITIONS = 4;
+// Below this a heading is mostly jitter, so none is reported
+const STATIONARY_SPEED_KMH = 2;
+
+function estimateVil(dbz) {
+  const z = 10 ** (Math.min(dbz, VIL_MAX_DBZ) / 10);
+  return VIL_COEFFICIENT * z ** (4 / 7) * ASSUMED_ECHO_DEPTH_M;
+}
+
+// Area in km^2 of one cell in each grid row; lat/lon cells shrink toward
+// the poles, projected cells are taken as their nominal size
+function rowAreas(grid, projection) {
+  const areas = new Float64Array(grid.height);
+  for (let j = 0; j < grid.height; j++) {
+    areas[j] = isProjectedGrid(grid)
+      ? (grid.dx * grid.dy) / 1e6
+      : grid.dx *
+        grid.dy *
+        KM_PER_DEGREE ** 2 *
+        Math.cos(projection.toLonLat(0, j)[1] * DEG);
+  }
+  return areas;
+}
+
+/**
+ * Storm cells in a reflectivity field: 8-connected regions at or above
+ * `thresholds` (dBZ) covering at least `minAreaKm2`. Thresholds are tried
+ * from the highest down, and a region that contains a cell already found at
+ * a higher threshold is left out, so a line of storms splits into its cores
+ * while isolated weaker storms still count. Each cell has its
+ * reflectivity-weighted centroid, area, max dBZ and a VIL-like estimate
+ * (kg/m^2) at its strongest point.
+ */
+export function identifyCells(radarData, { thresholds, minAreaKm2 }) {
+  const { grid, values } = radarData;
+  const { width, height } = grid;
+  const projection = createGridProjection(grid);
+  const areas = rowAreas(grid, projection);
+
+  // Pixels of cells already kept, and the pass that last visited each pixel
+  const kept = new Uint8Array(values.length);
+  const seen = new Uint8Array(values.length);
+  const cells = [];
+  const sorted = [...new Set(thresholds)].sort((a, b) => b - a);
+
+  sorted.forEach((threshold, pass) => {
+    const stamp = pass + 1;
+
+    for (let start = 0; start < values.length; start++) {
+      if (!(values[start] >= threshold) || seen[start] === stamp) continue;
+
+      // Flood fill, gathering the region's pixels and statistics
+      const pixels = [start];
+      seen[start] = stamp;
+      let containsKept = false;
+      let area = 0;
+      let weight = 0;
+      let sumI = 0;
+      let sumJ = 0;
+      let maxDbz = -Infinity;
+
+      for (let k = 0; k < pixels.length; k++) {
+        const index = pixels[k];
+        const i = index % width;
+        const j = (index - i) / width;
+        const dbz = values[index];
+        const z = 10 ** (dbz / 10);
+
+        containsKept ||= kept[index] === 1;
+        area += areas[j];
+        weight += z;
+        sumI += z * i;
+        sumJ += z * j;
+        maxDbz = Math.max(maxDbz, dbz);
+
+        for (let dj = -1; dj <= 1; dj++) {
+          const nj = j + dj;
+          if (nj < 0 || nj >= height) continue;
+          for (let di = -1; di <= 1; di++) {
+            const ni = i + di;
+            if (ni < 0 || ni >= width) continue;
+            const neighbour = nj * width + ni;
+            if (values[neighbour] >= threshold && seen[neighbour] !== stamp) {
+              seen[neighbour] = stamp;
+              pixels.push(neighbour);
+            }
+          }
+        }
+      }
+
+      if (containsKept || area < minAreaKm2) continue;
+
+      for (const index of pixels) {
+        kept[index] = 1;
+      }
+      const [lon, lat] = projection.toLonLat(sumI / weight, sumJ / weight);
+      cells.push({
+        lon,
+        lat,
+        threshold,
+        areaKm2: area,
+        maxDbz,
+        vil: estimateVil(maxDbz),
+      });
+    }
+  });
+
+  return cells;
+}
+
+// East and north offsets in km from one lon/lat to another, treating the
+// short distance as flat
+function offsetKm(from, to) {
+  const dLon = ((((to.lon - from.lon + 180) % 360) + 360) % 360) - 180;
+  return [
+    dLon * KM_PER_DEGREE * Math.cos(((from.lat + to.lat) / 2) * DEG),
+    (to.lat - from.lat) * KM_PER_DEGREE,
+  ];
+}
+
+// Speed (km/h) and heading (degrees clockwise from north, the direction the
+// cell is moving toward) over the last few positions of a track
+function measureMotion(track) {
+  const recent = track.slice(-MOTION_POSITIONS);
+  if (recent.length < 2) return null;
+
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  const hours = (last.timestamp - first.timestamp) / 3600000;
+  const [east, north] = offsetKm(first, last);
+
+  return {
+    eastKmh: east / hours,
+    northKmh: north / hours,
+    speedKmh: Math.hypot(east, north) / hours,
+    heading: (Math.atan2(east, north) / DEG + 360) % 360,
+  };
+}
+
+/**
+ * Follows storm cells from frame to frame. Each update matches the new
+ * frame's cells (from identifyCells) to the previous frame's: every old
+ * cell is moved along its measured motion, then the closest pairs within
+ * the distance a cell could travel at `maxSpeedKmh` are matched one to one.
+ * Matched cells keep their id and extend their track; the rest start new
+ * tracks. A gap longer than `maxGapMinutes` starts every track afresh.
+ */
+export function createCellTracker({
+  maxSpeedKmh = 120,
+  maxGapMinutes = 20,
+  trackLength = 10,
+} = {}) {
+  let cells = [];
+  let lastTimestamp = null;
+  let nextId = 1;
+
+  function update(timestamp, found) {
+    const time = new Date(timestamp).getTime();
+    if (lastTimestamp !== null && time <= lastTimestamp) {
+      return cells;
+    }
+
+    const hours =
+      lastTimestamp === null ? Infinity : (time - lastTimestamp) / 3600000;
+    const previous = hours * 60 <= maxGapMinutes ? cells : [];
+    const radius = Math.max(MIN_MATCH_RADIUS_KM, maxSpeedKmh * hours);
+
+    // Candidate pairs, closest first
+    const pairs = [];
+    previous.forEach((old, p) => {
+      const guess = old.motion
+        ? {
+            lon:
+              old.lon +
+              (old.motion.eastKmh * hours) /
+                (KM_PER_DEGREE * Math.cos(old.lat * DEG)),
+            lat: old.lat + (old.motion.northKmh * hours) / KM_PER_DEGREE,
+          }
+        : old;
+      found.forEach((cell, c) => {
+        const distance = Math.hypot(...offsetKm(guess, cell));
+        if (distance <= radius) {
+          pairs.push({ p, c, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matchOf = new Map();
+    const matchedPrevious = new Set();
+    for (const { p, c } of pairs) {
+      if (matchOf.has(c) || matchedPrevious.has(p)) continue;
+      matchOf.set(c, previous[p]);
+      matchedPrevious.add(p);
+    }
+
+    cells = found.map((cell, c) => {
+      const old = matchOf.get(c);
+      const point = { timestamp: time, lon: cell.lon, lat: cell.lat };
+      const track = old ? [...old.track, point].slice(-trackLength) : [point];
+      return {
+        ...cell,
+        id: old ? old.id : nextId++,
+        track,
+        motion: measureMotion(track),
+      };
+    });
+    lastTimestamp = time;
+    return cells;
+  }
+
+  return {
+    update,
+    get cells() {
+      return cells;
+    },
+    get lastTimestamp() {
+      return lastTimestamp === null ? null : new Date(lastTimestamp);
+    },
+  };
+}
+
+const round = (value, digits) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Tracked cells as a GeoJSON FeatureCollection: a Point feature per cell at
+ * its centroid, with its id, statistics, track (oldest position first) and
+ * motion; speed and heading are null until a cell has been seen twice,
+ * and heading is null for cells that are all but stationary.
+ */
+export function describeCells(cells) {
+  return {
+    type: "FeatureCollection",
+    features: cells.map((cell) => ({
+      type: "Feature",
+      id: cell.id,
+      geometry: {
+        type: "Point",
+        coordinates: [round(cell.lon, 4), round(cell.lat, 4)],
+      },
+      properties: {
+        id: cell.id,
+        threshold: cell.threshold,
+        areaKm2: round(cell.areaKm2, 1),
+        maxDbz: round(cell.maxDbz, 1),
+        vil: round(cell.vil, 1),
+        speedKmh: cell.motion ? round(cell.motion.speedKmh, 1) : null,
+        heading:
+          cell.motion && cell.motion.speedKmh >= STATIONARY_SPEED_KMH
+            ? Math.round(cell.motion.heading)
+            : null,
+        track: cell.track.map(({ timestamp, lon, lat }) => ({
+          timestamp: new Date(timestamp),
+          coordinates: [round(lon, 4), round(lat, 4)],
+        })),
+      },
+    })),
+  };
+}
@@ -0,0 +1,108 @@
+import { Worker } from "worker_threads";
+import os from "os";
+
+const DEFAULT_POOL_SIZE = Math.max(
+  1,
+  Math.min(4, os.availableParallelism() - 1)
+);
+
+/**
+ * Fixed-size pool of worker threads running `workerUrl`. Tasks queue until a
+ * worker is free, so at most `size` frames are ever being decoded at once.
+ * Workers answer `{ id, task, payload }` messages with `{ id, result }` or
+ * `{ id, error }`; a worker that dies fails its task and is replaced.
+ */
+export function createWorkerPool(workerUrl, size = DEFAULT_POOL_SIZE) {
+  const idle = [];
+  const queue = [];
+  const running = new Map();
+  let nextId = 0;
+  let closed = false;
+
+  function spawn() {
+    const worker = new Worker(workerUrl);
+
+    worker.on("message", ({ id, result, error }) => {
+      const job = running.get(worker);
+      if (!job || job.id !== id) return;
+
+      running.delete(worker);
+      if (error) {
+        const err = new Error(error.message);
+        err.stack = error.stack;
+        job.reject(err);
+      } else {
+        job.resolve(result);
+      }
+      release(worker);
+    });
+
+    worker.on("error", (error) => {
+      console.error("Worker thread failed:", error);
+    });
+
+    worker.on("exit", (code) => {
+      const job = running.get(worker);
+      running.delete(worker);
+
+      const idleIndex = idle.indexOf(worker);
+      if (idleIndex !== -1) idle.splice(idleIndex, 1);
+
+      if (job) {
+        job.reject(new Error(`Worker thread exited with code ${code}`));
+      }
+      if (!closed) {
+        release(spawn());
+      }
+    });
+
+    return worker;
+  }
+
+  function release(worker) {
+    const job = queue.shift();
+    if (!job) {
+      idle.push(worker);
+      return;
+    }
+    running.set(worker, job);
+    worker.postMessage(
+      { id: job.id, task: job.task, payload: job.payload },
+      job.transfer
+    );
+  }
+
+  for (let i = 0; i < size; i++) {
+    idle.push(spawn());
+  }
+
+  console.log(`Started ${size} worker thread(s)`);
+
+  return {
+    run(task, payload = {}, transfer = []) {
+      if (closed) {
+        return Promise.reject(new Error("Worker pool is closed"));
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, task, payload, transfer, resolve, reject });
+        const worker = idle.pop();
+        if (worker) release(worker);
+      });
+    },
+
+    get pending() {
+      return queue.length + running.size;
+    },
+
+    async close() {
+      closed = true;
+      for (const job of queue.splice(0)) {
+        job.reject(new Error("Worker pool is closed"));
+      }
+      await Promise.all(
+        [...idle, ...running.keys()].map((worker) => worker.terminate())
+      );
+    },
+  };
+}
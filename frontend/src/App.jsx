@@ -60,6 +60,12 @@ function App() {
             {error && <span className="error-indicator">Error: {error}</span>}
             {metadata && (
               <div className="timestamp-info">
+                {metadata.product && (
+                  <div className="data-time">
+                    <span className="label">Product:</span>
+                    <span className="value">{metadata.product.label}</span>
+                  </div>
+                )}
                 <div className="data-time">
                   <span className="label">Radar Data:</span>
                   <span className="value">
@@ -78,7 +84,7 @@ function App() {
 
       <main className="main-content">
         <RadarMap metadata={metadata} />
-        <Legend />
+        <Legend productId={metadata?.productId} />
       </main>
 
       <footer className="footer">
@@ -1,59 +1,75 @@
-function Legend() {
-  const colorStops = [
-    { dbz: 75, color: "rgb(200, 200, 255)", label: "75+" },
-    { dbz: 70, color: "rgb(255, 255, 255)", label: "70" },
-    { dbz: 65, color: "rgb(128, 0, 200)", label: "65" },
-    { dbz: 60, color: "rgb(168, 0, 168)", label: "60" },
-    { dbz: 55, color: "rgb(200, 0, 0)", label: "55" },
-    { dbz: 50, color: "rgb(255, 0, 0)", label: "50" },
-    { dbz: 45, color: "rgb(255, 128, 0)", label: "45" },
-    { dbz: 40, color: "rgb(255, 192, 0)", label: "40" },
-    { dbz: 35, color: "rgb(255, 255, 0)", label: "35" },
-    { dbz: 30, color: "rgb(0, 128, 0)", label: "30" },
-    { dbz: 25, color: "rgb(0, 168, 0)", label: "25" },
-    { dbz: 20, color: "rgb(0, 200, 0)", label: "20" },
-    { dbz: 15, color: "rgb(32, 144, 140)", label: "15" },
-    { dbz: 10, color: "rgb(64, 164, 176)", label: "10" },
-    { dbz: 5, color: "transparent", label: "5" },
-  ];
+import { useState, useEffect } from "react";
+
+const toCssColor = ([r, g, b, a]) => `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+
+const formatRange = ({ min, max }, unit) => {
+  if (max === null) return `${min}+ ${unit}`;
+  if (max === min) return String(min);
+  return `${min}-${max} ${unit}`;
+};
+
+// Built from /api/legend, so the colors are the ones the server renders
+function Legend({ productId, palette }) {
+  const [legend, setLegend] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (productId) params.set("product", productId);
+    if (palette) params.set("palette", palette);
+
+    let cancelled = false;
+    fetch(`/api/legend?${params}`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((data) => {
+        if (!cancelled) setLegend(data);
+      })
+      .catch((err) => console.error("Error fetching legend:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, palette]);
+
+  if (!legend) return null;
+
+  const unit = legend.unit || "";
+  // Highest values first, as on the map's color ramp
+  const stops = [...legend.stops].reverse();
 
   return (
     <div className="legend">
       <div className="legend-title">
-        <span>Reflectivity</span>
-        <span className="legend-unit">dBZ</span>
+        <span>{legend.title}</span>
+        <span className="legend-unit">{unit}</span>
       </div>
 
       <div className="legend-scale">
-        {colorStops.map((stop) => (
-          <div key={stop.dbz} className="legend-item">
+        {stops.map((stop) => (
+          <div key={stop.value} className="legend-item">
             <div
               className="legend-color"
-              style={{
-                backgroundColor: stop.color,
-                border:
-                  stop.dbz === 5 ? "1px solid rgba(255,255,255,0.3)" : "none",
-              }}
+              style={{ backgroundColor: toCssColor(stop.color) }}
             />
             <span className="legend-label">{stop.label}</span>
           </div>
         ))}
       </div>
 
-      <div className="legend-footer">
-        <div className="legend-info">
-          <span className="info-label">Light Rain</span>
-          <span className="info-range">10-30 dBZ</span>
-        </div>
-        <div className="legend-info">
-          <span className="info-label">Moderate</span>
-          <span className="info-range">30-45 dBZ</span>
+      {legend.categories.length > 0 && (
+        <div className="legend-footer">
+          {legend.categories.map((category) => (
+            <div key={category.label} className="legend-info">
+              <span className="info-label">{category.label}</span>
+              <span className="info-range">{formatRange(category, unit)}</span>
+            </div>
+          ))}
         </div>
-        <div className="legend-info">
-          <span className="info-label">Heavy/Severe</span>
-          <span className="info-range">45+ dBZ</span>
-        </div>
-      </div>
+      )}
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import { useEffect, useState } from "react";
-import { MapContainer, TileLayer, ImageOverlay } from "react-leaflet";
+import { MapContainer, TileLayer } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
+import StormCells from "./StormCells";
 
 const CONUS_CENTER = [39.0, -98.0];
 const CONUS_ZOOM = 4;
@@ -10,23 +11,19 @@ const DEFAULT_BOUNDS = [
   [55.0, -60.0],
 ];
 
+// Radar comes as Web Mercator tiles from the backend, so it lines up with
+// the basemap at every zoom; tiles outside the data bounds are never asked for.
+// Leaflet only reads `bounds` when the layer is created, hence the key.
 function RadarOverlay({ bounds, refreshKey }) {
-  const [imageUrl, setImageUrl] = useState(null);
   const opacity = 0.85;
 
-  useEffect(() => {
-    const url = `/api/radar/latest?t=${refreshKey}`;
-    setImageUrl(url);
-  }, [refreshKey]);
-
-  if (!imageUrl) return null;
-
   return (
-    <ImageOverlay
-      key={refreshKey}
-      url={imageUrl}
+    <TileLayer
+      key={bounds.flat().join(",")}
+      url={`/api/radar/tiles/{z}/{x}/{y}.png?t=${refreshKey}`}
       bounds={bounds}
       opacity={opacity}
+      maxNativeZoom={12}
       zIndex={1000}
     />
   );
@@ -83,6 +80,7 @@ function RadarMap({ metadata }) {
         />
 
         <RadarOverlay bounds={bounds} refreshKey={refreshKey} />
+        <StormCells refreshKey={refreshKey} />
       </MapContainer>
 
       <MapControls onRefresh={handleRefresh} />
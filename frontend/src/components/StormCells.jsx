@@ -0,0 +1,112 @@
+import { useEffect, useState } from "react";
+import { CircleMarker, Polyline, Tooltip } from "react-leaflet";
+
+const KM_PER_DEGREE = 111.32;
+const DEG = Math.PI / 180;
+
+// Arrows point to where a cell will be in this many minutes at its
+// current motion
+const ARROW_MINUTES = 30;
+
+const COMPASS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Point `distanceKm` from [lat, lon] toward `heading`, close enough over the
+// tens of kilometres an arrow spans
+const destination = ([lat, lon], distanceKm, heading) => [
+  lat + (distanceKm * Math.cos(heading * DEG)) / KM_PER_DEGREE,
+  lon +
+    (distanceKm * Math.sin(heading * DEG)) /
+      (KM_PER_DEGREE * Math.cos(lat * DEG)),
+];
+
+const cellColor = (maxDbz) => {
+  if (maxDbz >= 55) return "#ff3df5";
+  if (maxDbz >= 45) return "#ff8c1a";
+  return "#ffe14d";
+};
+
+const describeMotion = ({ speedKmh, heading }) => {
+  if (speedKmh === null) return "New cell";
+  if (heading === null) return "Stationary";
+  const direction = COMPASS[Math.round(heading / 45) % 8];
+  return `Moving ${direction} at ${Math.round(speedKmh)} km/h`;
+};
+
+function StormCell({ feature }) {
+  const { properties } = feature;
+  const [lon, lat] = feature.geometry.coordinates;
+  const position = [lat, lon];
+  const color = cellColor(properties.maxDbz);
+
+  const track = properties.track.map(({ coordinates: [x, y] }) => [y, x]);
+
+  let arrow = null;
+  if (properties.heading !== null) {
+    const length = (properties.speedKmh * ARROW_MINUTES) / 60;
+    const tip = destination(position, length, properties.heading);
+    // Arrowhead barbs swept back from the tip
+    const barb = length * 0.3;
+    arrow = [
+      [position, tip],
+      [destination(tip, barb, properties.heading + 150), tip],
+      [destination(tip, barb, properties.heading - 150), tip],
+    ];
+  }
+
+  return (
+    <>
+      {track.length > 1 && (
+        <Polyline
+          positions={track}
+          pathOptions={{ color, weight: 1.5, opacity: 0.6, dashArray: "4 4" }}
+        />
+      )}
+      {arrow && (
+        <Polyline positions={arrow} pathOptions={{ color, weight: 2 }} />
+      )}
+      <CircleMarker
+        center={position}
+        radius={Math.min(12, Math.max(4, Math.sqrt(properties.areaKm2) / 3))}
+        pathOptions={{ color, weight: 2, fillOpacity: 0.25 }}
+      >
+        <Tooltip className="storm-cell-tooltip">
+          <strong>Cell {properties.id}</strong>
+          <div>Max {properties.maxDbz} dBZ</div>
+          <div>VIL ~{properties.vil} kg/m²</div>
+          <div>{describeMotion(properties)}</div>
+        </Tooltip>
+      </CircleMarker>
+    </>
+  );
+}
+
+// Tracked storm cells from /api/cells, as markers with their past track and
+// an arrow along their motion
+function StormCells({ refreshKey }) {
+  const [cells, setCells] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/cells")
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((data) => {
+        if (!cancelled) setCells(data.features);
+      })
+      .catch((err) => console.error("Error fetching storm cells:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  return cells.map((feature) => (
+    <StormCell key={feature.id} feature={feature} />
+  ));
+}
+
+export default StormCells;